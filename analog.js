@@ -0,0 +1,267 @@
+/**
+ * @file Contains the analog inputs: gamepads and the joysticks that appear
+ * under the player's fingers on touch screens. They move and turn the camera
+ * by how far they're pushed (see Camera.steer).
+ * @author Marcus Bartlett
+ */
+
+/** How far a stick must be pushed, from 0 to 1, before it counts. */
+const DEADZONE = 0.2;
+
+/**
+ * The actions of the buttons of a gamepad with the standard layout, keyed by
+ * button index (see ACTIONS in input.js).
+ */
+const GAMEPAD_BUTTONS = {0: "use", 1: "run", 3: "map", 8: "automap",
+                         9: "continue", 12: "zoomIn", 13: "zoomOut"};
+
+/** How far a button must be pressed, from 0 to 1, to count as down. */
+const BUTTON_THRESHOLD = 0.5;
+
+/** The distance, in pixels, at which a touch joystick is pushed all the way. */
+const JOYSTICK_RADIUS = 50;
+
+/** The longest time, in milliseconds, that a touch can last to be a tap. */
+const TAP_TIME = 250;
+
+/** The farthest, in pixels, that a touch can move and still be a tap. */
+const TAP_DISTANCE = 10;
+
+/** Describes the gamepad input, which is polled once a frame. */
+export class GamepadInput {
+    /**
+     * Constructs a GamepadInput instance.
+     * @param {Game|RemoteGame} theGame - The game to pass the input on to.
+     */
+    constructor(theGame) {
+        /** The game to pass the input on to. */
+        this._game = theGame;
+        /** Whether each button was down when last polled, by index. */
+        this._pressed = {};
+        /** The last stick positions passed on, as [forward, strafe, turn]. */
+        this._sent = [0, 0, 0];
+        /** Whether the gamepads are being polled. */
+        this._polling = false;
+    }
+
+    /** Starts polling the gamepads once one is connected. */
+    start() {
+        window.addEventListener("gamepadconnected", () => {
+            if (!this._polling) {
+                this._polling = true;
+                requestAnimationFrame(() => this.poll());
+            }
+        });
+    }
+
+    /**
+     * Reads the first connected gamepad and passes on what's changed, then
+     * polls again next frame, or stops if there are no gamepads left.
+     */
+    poll() {
+        const pad = Array.from(navigator.getGamepads()).find((thePad) => {
+            return thePad !== null && thePad.connected;
+        });
+        if (pad === undefined) {
+            // Let go of everything the last gamepad was holding.
+            this._polling = false;
+            this.send([0, 0, 0]);
+            for (const index of Object.keys(this._pressed)) {
+                this.press(index, false);
+            }
+        } else {
+            const [strafe, back] = deadzone(pad.axes[0], pad.axes[1]);
+            const [turn] = deadzone(pad.axes[2], 0);
+            this.send([-back, strafe, turn]);
+            for (const index of Object.keys(GAMEPAD_BUTTONS)) {
+                const button = pad.buttons[index];
+                this.press(index, button !== undefined &&
+                                  button.value >= BUTTON_THRESHOLD);
+            }
+            requestAnimationFrame(() => this.poll());
+        }
+    }
+
+    /**
+     * Passes the sticks' positions on to the game if they've changed.
+     * @param {number[]} theSticks - The positions as [forward, strafe, turn].
+     */
+    send(theSticks) {
+        if (theSticks.some((theAmount, theI) => {
+                    return theAmount !== this._sent[theI];
+                })) {
+            this._sent = theSticks;
+            this._game.steer("gamepad", ...theSticks);
+        }
+    }
+
+    /**
+     * Passes a button's action on to the game if it's been pressed or
+     * released.
+     * @param {string} theIndex - The button's index.
+     * @param {boolean} theBool - Whether it's down.
+     */
+    press(theIndex, theBool) {
+        if (Boolean(this._pressed[theIndex]) !== theBool) {
+            this._pressed[theIndex] = theBool;
+            this._game.handleAction(GAMEPAD_BUTTONS[theIndex], theBool);
+        }
+    }
+}
+
+/**
+ * Describes the touch joysticks. Touching the left half of the view moves
+ * and strafes, touching the right half turns, and tapping the right half uses
+ * what's in front of the camera. Each joystick is centered where its touch
+ * starts.
+ */
+export class TouchControls {
+    /**
+     * Constructs a TouchControls instance.
+     * @param {Game|RemoteGame} theGame - The game to pass the input on to.
+     * @param {HTMLElement} theView - The element holding the canvas.
+     * @param {HTMLElement} theOverlay - An element over the canvas to show
+     * the joysticks in.
+     */
+    constructor(theGame, theView, theOverlay) {
+        /** The game to pass the input on to. */
+        this._game = theGame;
+        /** The element holding the canvas. */
+        this._view = theView;
+        /**
+         * The touch on each half of the view as {id, x0, y0, x, y, time}, or
+         * null.
+         */
+        this._touches = {left: null, right: null};
+        /** The elements that show each joystick as {base, knob}. */
+        this._sticks = {};
+        for (const side of Object.keys(this._touches)) {
+            const base = document.createElement("div");
+            base.className = "stick";
+            const knob = document.createElement("div");
+            knob.className = "knob";
+            base.append(knob);
+            theOverlay.append(base);
+            this._sticks[side] = {base: base, knob: knob};
+        }
+    }
+
+    /** Starts listening for touches on the view. */
+    start() {
+        const options = {passive: false};
+        this._view.addEventListener("touchstart", (theEvent) => {
+            this.handleTouch(theEvent, "start");
+        }, options);
+        this._view.addEventListener("touchmove", (theEvent) => {
+            this.handleTouch(theEvent, "move");
+        }, options);
+        for (const type of ["touchend", "touchcancel"]) {
+            this._view.addEventListener(type, (theEvent) => {
+                this.handleTouch(theEvent, "end");
+            }, options);
+        }
+    }
+
+    /**
+     * Handles touch input.
+     * @param {TouchEvent} theEvent - The event that this function is handling.
+     * @param {string} thePhase - Whether the touches "start", "move" or "end".
+     */
+    handleTouch(theEvent, thePhase) {
+        // Keep the page from scrolling or zooming instead.
+        theEvent.preventDefault();
+        const rect = this._view.getBoundingClientRect();
+        for (const touch of theEvent.changedTouches) {
+            const x = touch.clientX - rect.left;
+            const y = touch.clientY - rect.top;
+            if (thePhase === "start") {
+                const side = x < rect.width / 2 ? "left" : "right";
+                if (this._touches[side] === null) {
+                    this._touches[side] = {id: touch.identifier, x0: x, y0: y,
+                                           x: x, y: y,
+                                           time: theEvent.timeStamp};
+                }
+            }
+            for (const side of Object.keys(this._touches)) {
+                const active = this._touches[side];
+                if (active !== null && active.id === touch.identifier) {
+                    active.x = x;
+                    active.y = y;
+                    if (thePhase === "end") {
+                        this._touches[side] = null;
+                        if (side === "right" && isTap(active, theEvent)) {
+                            this._game.handleAction("use", true);
+                            this._game.handleAction("use", false);
+                        }
+                    }
+                }
+            }
+        }
+        this.update();
+    }
+
+    /** Shows the joysticks and passes their positions on to the game. */
+    update() {
+        const left = this.stickAt("left");
+        const right = this.stickAt("right");
+        const [strafe, back] = deadzone(...left);
+        const [turn] = deadzone(right[0], 0);
+        this._game.steer("touch", -back, strafe, turn);
+    }
+
+    /**
+     * Shows one joystick where its touch is.
+     * @param {string} theSide - "left" or "right".
+     * @returns {number[]} How far the joystick is pushed as [x, y], each from
+     * -1 to 1, before the deadzone.
+     */
+    stickAt(theSide) {
+        const touch = this._touches[theSide];
+        const stick = this._sticks[theSide];
+        let rv = [0, 0];
+        if (touch === null) {
+            stick.base.style.display = "none";
+        } else {
+            const dx = (touch.x - touch.x0) / JOYSTICK_RADIUS;
+            const dy = (touch.y - touch.y0) / JOYSTICK_RADIUS;
+            const scale = 1 / Math.max(1, Math.hypot(dx, dy));
+            rv = [dx * scale, dy * scale];
+            stick.base.style.display = "block";
+            stick.base.style.left = `${touch.x0 - JOYSTICK_RADIUS}px`;
+            stick.base.style.top = `${touch.y0 - JOYSTICK_RADIUS}px`;
+            const knob_x = rv[0] * JOYSTICK_RADIUS;
+            const knob_y = rv[1] * JOYSTICK_RADIUS;
+            stick.knob.style.transform = `translate(${knob_x}px, ${knob_y}px)`;
+        }
+        return rv;
+    }
+}
+
+/**
+ * Ignores small movements of a stick, which even a stick at rest makes, and
+ * rescales the rest so that the stick still goes from 0 to 1.
+ * @param {number} theX - How far the stick is pushed right, from -1 to 1.
+ * @param {number} theY - How far the stick is pushed down, from -1 to 1.
+ * @returns {number[]} The stick's position as [x, y].
+ */
+function deadzone(theX, theY) {
+    const length = Math.hypot(theX, theY);
+    let rv = [0, 0];
+    if (length > DEADZONE) {
+        const scale = Math.min(1, (length - DEADZONE) / (1 - DEADZONE)) /
+                      length;
+        rv = [theX * scale, theY * scale];
+    }
+    return rv;
+}
+
+/**
+ * @param {Object} theTouch - A touch that has ended (see TouchControls).
+ * @param {TouchEvent} theEvent - The event that ended it.
+ * @returns {boolean} Whether the touch was a tap rather than a push.
+ */
+function isTap(theTouch, theEvent) {
+    return theEvent.timeStamp - theTouch.time <= TAP_TIME &&
+           Math.hypot(theTouch.x - theTouch.x0,
+                      theTouch.y - theTouch.y0) <= TAP_DISTANCE;
+}
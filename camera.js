@@ -3,18 +3,12 @@
  * @author Marcus Bartlett
  */
 
-import { CANVAS_ID, SCREEN_MIN, SCREEN_MAX, SCREEN_WIDTH, SCREEN_HEIGHT, 
-         FOV_MIN, FOV_MAX} from "./main.js";
+import { SCREEN_MIN, SCREEN_MAX, SCREEN_WIDTH, SCREEN_HEIGHT, FOV_MIN,
+         FOV_MAX } from "./screen.js";
 import { Ray } from "./ray.js";
-
-/** The colors of the faces of the walls. */
-const COLORS = ["#000000", "#004400", "#008800", "#00cc00"];
-
-/** The color of the sky above the horizon. */
-const SKY_COLOR = "#00aaff";
-
-/** The color of the ground below the horizon. */
-const GROUND_COLOR = "#aaaaaa";
+import { Minimap } from "./minimap.js";
+import { Renderer } from "./renderer.js";
+import { PathFinder } from "./path.js";
 
 /** The amount the angle changes per second when a key is down. */
 const ANGLE_DELTA = Math.PI * 1.25;
@@ -22,192 +16,457 @@ const ANGLE_DELTA = Math.PI * 1.25;
 /** The camera's speed in tiles per second. */
 const POS_DELTA = 1.5;
 
-/** The maximum allowed length of the ray in tiles. */
-const DRAW_DISTANCE = 16;
-
 /** The size of the camera's bounding box. */
 const BOUND_SIZE = 0.20;
 
-/** The length of world units to "slide" against walls when colliding. */
-const SLIDE = 0.0001;
+/** The farthest, in tiles, the camera moves before checking for walls. */
+const MAX_STEP = BOUND_SIZE / 2;
+
+/** How many times faster the camera moves while running. */
+const RUN_FACTOR = 2;
+
+/**
+ * The actions that turn and move the camera while their keys are held down
+ * (see ACTIONS in input.js).
+ */
+const HELD_ACTIONS = ["forward", "back", "turnLeft", "turnRight", "strafeLeft",
+                      "strafeRight", "run"];
+
+/**
+ * How far, in radians, the camera turns for each pixel the mouse moves at a
+ * sensitivity of 1.
+ */
+const MOUSE_TURN = 0.003;
+
+/**
+ * The time, in seconds, that mouse smoothing is measured over: a smoothing of
+ * 0.5 leaves half of the mouse's movement still to turn after this long.
+ */
+const SMOOTHING_TIME = 1 / 60;
 
-/** Whether to draw a top-down view of the world and rays instead of columns. */
-const DEBUG = false;
+/** The turn, in radians, below which the rest of a mouse movement is made. */
+const SMOOTHING_EPSILON = 1e-4;
 
-/** How width and height, in pixels, to draw each square on screen in pixels. */
-const DRAW_SIZE = 16;
+/** How long, in seconds, a hint shows the way out for. */
+const HINT_TIME = 5;
+
+/**
+ * How far, in radians, auto-walk lets the camera face away from the next tile
+ * of the path and still walk forward rather than only turning.
+ */
+const AUTO_WALK_AIM = 0.3;
+
+/** How far in front of the camera, in tiles, it can reach to use things. */
+const USE_REACH = 0.9;
+
+/** How close, in tiles, an item must be for the camera to pick it up. */
+const PICKUP_RADIUS = 0.4;
+
+/** How long, in seconds, a notice stays on screen. */
+const NOTICE_TIME = 2;
+
+/** The font of messages drawn over the view. */
+const MESSAGE_FONT = "24px 'Franklin Gothic Medium', 'Arial Narrow', Arial, " +
+                     "sans-serif";
+
+/** The color of the text of messages drawn over the view. */
+const MESSAGE_COLOR = "#ffffff";
+
+/** The color of the box behind messages drawn over the view. */
+const MESSAGE_BACKGROUND = "rgba(0, 0, 0, 0.75)";
+
+/** The height, in pixels, of each line of a message. */
+const MESSAGE_LINE_HEIGHT = 32;
 
 /** Describes a camera. */
 export class Camera {
     /**
      * Constructs a Camera instance.
      * @param {Ray} theRay - The camera's position and angle.
-     * @param {HTMLImageElement} theTexture - The brick texture.
+     * @param {Object} theTextures - The loaded wall materials, floor and
+     * ceiling flats and sprites (see loadTextures in materials.js).
+     * @param {HTMLCanvasElement|OffscreenCanvas} theCanvas - The canvas to
+     * draw on, or null for a camera that's never drawn (see tools/replay.js).
      */
-    constructor(theRay, theTexture) {
+    constructor(theRay, theTextures, theCanvas) {
         if (theRay === null) {
             throw new Error("Camera passed null Ray argument.");
         } else if (!(theRay instanceof Ray)) {
             throw new Error("Camera must be passed an object.");
-        } else if (!(theTexture instanceof HTMLImageElement)) {
-            throw new Error("Camera must be passed HTMLImageElement");
+        } else if (theTextures === null || typeof theTextures !== "object" ||
+                !Array.isArray(theTextures.materials) ||
+                !Array.isArray(theTextures.flats)) {
+            throw new Error("Camera must be passed loaded textures.");
+        } else if (theCanvas !== null && (typeof theCanvas !== "object" ||
+                typeof theCanvas.getContext !== "function")) {
+            throw new Error("Camera must be passed a canvas.");
         } else {
             /** The camera's position and rotation. */
             this._cam_ray = theRay;
-            /** The ray that loops across the screen to draw the columns. */
-            this._draw_ray = new Ray(theRay.x, theRay.y, theRay.theta,
-                    theRay.world, DRAW_DISTANCE);
+            /** The canvas the camera draws on. */
+            this._canvas = theCanvas;
+            /** Whether the key of each held action is down. */
+            this._held = Object.fromEntries(HELD_ACTIONS.map((theAction) => {
+                return [theAction, false];
+            }));
             /**
-             * Since the camera is the only object responding to keyboard input,
-             * I thought I'd get away with putting this here.
+             * The mouse look settings as {sensitivity, invert, smoothing}
+             * (see the mouse setter).
              */
-            this._keymap = {"ArrowLeft": false, "ArrowUp": false,
-                            "ArrowRight": false, "ArrowDown": false};
+            this._mouse = {sensitivity: 1, invert: false, smoothing: 0};
+            /** The turn, in radians, the mouse has asked for but not made. */
+            this._look = 0;
+            /**
+             * The position of each source of analog input, like a gamepad,
+             * as {forward, strafe, turn}, keyed by source (see steer).
+             */
+            this._analog = {};
             /** The FOV of the camera in degrees. */
             this._fov_d = Math.floor((FOV_MIN + FOV_MAX) / 2);
             /** The screen width in pixels. */
             this._sw = SCREEN_WIDTH;
             /** The screen height in pixels. */
             this._sh = SCREEN_HEIGHT
-            /** The brick texture. */
-            this._texture = theTexture;
-            /** Whether to draw textures (true) or solid colors (false). */
-            this._textured = true;
+            /** The size the view is rendered at relative to the screen. */
+            this._scale = 1;
+            /** The renderer that draws the view into a framebuffer. */
+            this._renderer = new Renderer(theTextures);
+            /** The image the framebuffer is copied into. */
+            this._image = null;
+            /**
+             * A canvas that holds the image when it's rendered smaller than
+             * the screen, so it can be scaled up.
+             */
+            this._scratch = null;
+            /** The top-down map drawn over the view. */
+            this._minimap = new Minimap();
+            /** The time, in seconds, that the camera has existed for. */
+            this._time = 0;
+            /** The types of the items the camera has picked up. */
+            this._inventory = [];
+            /** The hint being shown as {path, until}, or null. */
+            this._hint = null;
+            /** Whether the camera walks itself along the way out. */
+            this._auto_walk = false;
+            /** The way out that auto-walk is following, or null. */
+            this._auto_path = null;
+            /** A short message shown at the bottom of the view, or null. */
+            this._notice = null;
         }
     }
 
-    /** Draws the vertical lines onto the canvas. */
+    /** Renders the view and draws it onto the canvas. */
     updateCanvas() {
-        const canvas = document.querySelector(`#${CANVAS_ID}`);
-        const ctx = canvas.getContext("2d");
-        ctx.clearRect(0, 0, this._sw, this._sh);
-        // Draw a top-down view for debugging.
-        if (DEBUG) {
-            this._cam_ray.world.drawWorld();
-            ctx.fillStyle = "#00ff00";
-            ctx.strokeStyle = "#ff0000";
-            const x = this._cam_ray.x * DRAW_SIZE;
-            const y = this._cam_ray.y * DRAW_SIZE;
-            ctx.beginPath();
-            ctx.moveTo(x, y);
-            const size = DRAW_SIZE * BOUND_SIZE;
-            ctx.arc(x, y, DRAW_SIZE * BOUND_SIZE, 0, 2 * Math.PI);
-            ctx.fill();
-            ctx.beginPath();
-            ctx.moveTo(x, y);
-            ctx.lineTo(x + (size * Math.cos(this._cam_ray.theta)),
-                      y + (size * Math.sin(this._cam_ray.theta)));
-            ctx.stroke();
-            // Draw dots where rays hit walls.
-            for (let i = 0; i < this._sw; i++) {
-                let angle = Math.atan((2 * i / this._sw ) - 1);
-                this._draw_ray.theta = angle + this._cam_ray.theta;
-                let collision = this._draw_ray.seekCollision();
-                let dist = 0;
-                if (collision[0] !== null && collision[1] !== null) {                
-                    dist = Math.hypot(this._draw_ray.x - collision[0], 
-                                      this._draw_ray.y - collision[1]);
-                }
-                ctx.fillStyle = "#ff0000";
-                ctx.fillRect(collision[0] * DRAW_SIZE, collision[1] * DRAW_SIZE, 
-                             1, 1);
+        const ctx = this._canvas.getContext("2d");
+        const width = Math.max(1, Math.round(this._sw * this._scale));
+        const height = Math.max(1, Math.round(this._sh * this._scale));
+        const path = this._auto_walk ? this._auto_path :
+                     this._hint === null ? null : this._hint.path;
+        const frame = this._renderer.render(this.world, {
+                x: this.x, y: this.y, theta: this._cam_ray.theta,
+                fov: this._fov_d, width: width, height: height,
+                time: this._time, path: path});
+        this.world.explore(this.x, this.y, frame.ends, frame.faces);
+        if (this._image === null || this._image.width !== width ||
+                this._image.height !== height) {
+            this._image = ctx.createImageData(width, height);
+        }
+        this._image.data.set(frame.data);
+        if (width === this._sw && height === this._sh) {
+            ctx.putImageData(this._image, 0, 0);
+        } else {
+            // Scale the smaller image up without smoothing it.
+            if (this._scratch === null) {
+                this._scratch = createCanvas(width, height);
             }
-        // Or draw the actual first-person view for the game.
+            this._scratch.width = width;
+            this._scratch.height = height;
+            this._scratch.getContext("2d").putImageData(this._image, 0, 0);
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(this._scratch, 0, 0, this._sw, this._sh);
+        }
+        this._minimap.draw(ctx, {world: this.world, x: this.x, y: this.y,
+                                 theta: this._cam_ray.theta,
+                                 cone: frame.ends, path: path},
+                           this._sw, this._sh);
+        if (this._notice !== null) {
+            ctx.font = MESSAGE_FONT;
+            ctx.textAlign = "center";
+            ctx.textBaseline = "middle";
+            ctx.fillStyle = MESSAGE_BACKGROUND;
+            ctx.fillRect(0, this._sh - MESSAGE_LINE_HEIGHT * 2, this._sw,
+                         MESSAGE_LINE_HEIGHT);
+            ctx.fillStyle = MESSAGE_COLOR;
+            ctx.fillText(this._notice.text, this._sw / 2,
+                         this._sh - MESSAGE_LINE_HEIGHT * 1.5);
+        }
+    }
+
+    /**
+     * Draws lines of text in a box over the middle of the current view.
+     * @param {string[]} theLines - The lines of the message.
+     */
+    drawMessage(theLines) {
+        const ctx = this._canvas.getContext("2d");
+        const box_height = MESSAGE_LINE_HEIGHT * (theLines.length + 1);
+        const top = (this._sh - box_height) / 2;
+        ctx.fillStyle = MESSAGE_BACKGROUND;
+        ctx.fillRect(0, top, this._sw, box_height);
+        ctx.font = MESSAGE_FONT;
+        ctx.fillStyle = MESSAGE_COLOR;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        for (let i = 0; i < theLines.length; i++) {
+            ctx.fillText(theLines[i], this._sw / 2,
+                         top + MESSAGE_LINE_HEIGHT * (i + 1));
+        }
+    }
+
+    /**
+     * Lets go of every input: the keys held, the analog sticks, any mouse
+     * movement not yet turned and auto-walk. Recordings and replays start
+     * from here so that nothing from before them carries over.
+     */
+    release() {
+        for (const action of Object.keys(this._held)) {
+            this._held[action] = false;
+        }
+        this._analog = {};
+        this._look = 0;
+        this._auto_walk = false;
+        this._auto_path = null;
+        this._hint = null;
+    }
+
+    /**
+     * Moves the camera into a (possibly different) world.
+     * @param {World} theWorld - The world to place the camera in.
+     * @param {number} theX - The new x-coordinate.
+     * @param {number} theY - The new y-coordinate.
+     * @param {number} theTheta - The new angle in radians.
+     */
+    place(theWorld, theX, theY, theTheta) {
+        this._cam_ray.world = theWorld;
+        this.x = theX;
+        this.y = theY;
+        this._cam_ray.theta = theTheta;
+        this._inventory = [];
+        this._notice = null;
+        this._hint = null;
+        this._auto_path = null;
+        delete this._analog.auto;
+    }
+
+    /**
+     * Shows a short message at the bottom of the view for a while.
+     * @param {string} theText - The message.
+     */
+    notify(theText) {
+        this._notice = {text: theText, until: this._time + NOTICE_TIME};
+    }
+
+    /** Uses whatever is right in front of the camera, like a door. */
+    use() {
+        const cos = Math.cos(this._cam_ray.theta);
+        const sin = Math.sin(this._cam_ray.theta);
+        const message = this.world.use(this.x + cos * USE_REACH, 
+                                       this.y + sin * USE_REACH, cos, sin,
+                                       this._inventory);
+        if (message !== null) {
+            this.notify(message);
+        }
+    }
+
+    /**
+     * Handles an action.
+     * @param {string} theAction - The action (see ACTIONS in input.js).
+     * @param {boolean} theBool - Whether its key was pressed (true) or
+     * released (false).
+     * @param {boolean} theRepeat - Whether the press is the key repeating.
+     * @returns {boolean} Whether the view changed and needs to be redrawn.
+     */
+    handleAction(theAction, theBool, theRepeat) {
+        let rv = false;
+        if (this._minimap.handleAction(theAction, theBool, theRepeat)) {
+            rv = true;
+        } else if (theAction in this._held) {
+            this._held[theAction] = theBool;
+        } else if (theBool && !theRepeat) {
+            if (theAction === "use") {
+                this.use();
+            } else if (theAction === "hint") {
+                this.hint();
+                rv = true;
+            } else if (theAction === "autoWalk") {
+                this._auto_walk = !this._auto_walk;
+                this._auto_path = null;
+                delete this._analog.auto;
+                this.notify(`Auto-walk ${this._auto_walk ? "on" : "off"}.`);
+                rv = true;
+            }
+        }
+        return rv;
+    }
+
+    /** Shows the shortest way out for a while. */
+    hint() {
+        const path = new PathFinder(this.world).solve(this.x, this.y, "astar",
+                                                      this._inventory);
+        if (path === null) {
+            this.notify("There's no way out from here.");
         } else {
-            ctx.fillStyle = SKY_COLOR;
-            ctx.fillRect(0, 0, this._sw, this._sh / 2);
-            ctx.fillStyle = GROUND_COLOR;
-            ctx.fillRect(0, this._sh / 2, this._sw, this._sh / 2);
-            ctx.lineWidth = 1;
-            const fov_r = (this._fov_d * Math.PI) / 180;
-            const vp_disp = 1 / (2 * Math.tan(fov_r / 2));
-            // Loop across the width of the screen.
-            for (let i = 0; i < this._sw; i++) {
-                const angle = Math.atan((i - 0.5 * this._sw) / 
-                                        (vp_disp * this._sw));
-                this._draw_ray.theta = angle + this._cam_ray.theta;
-                const collision = this._draw_ray.seekCollision();
-                let dist = 0;
-                if (collision[0] !== null && collision[1] !== null) {
-                    const x_comp = this._draw_ray.x - collision[0];
-                    const y_comp = this._draw_ray.y - collision[1];
-                    dist = Math.hypot(x_comp, y_comp);
-                }
-                // I'm not sure where the 4 came from but it works.
-                let line_height = this._sw / (Math.cos(angle) * 4 * dist);
-                line_height *= Math.PI / (2 * fov_r);
-                // Draw brick wall texture...
-                if (this._textured) {
-                    let sx = 0;
-                    const w = this._texture.naturalWidth;
-                    if (collision[2] === 0) {
-                        sx = collision[1] - Math.floor(collision[1]);
-                        sx = w - Math.ceil(sx * w);
-                    } else if (collision[2] === 1) {
-                        sx = collision[0] - Math.floor(collision[0]);
-                        sx = Math.floor(sx * w);
-                    } else if (collision[2] === 2) {
-                        sx = collision[1] - Math.floor(collision[1]);
-                        sx = Math.floor(sx * w);
-                    } else {
-                        sx = collision[0] - Math.floor(collision[0]);
-                        sx = w - Math.ceil(sx * w);
-                    }
-                    ctx.drawImage(this._texture, sx, 0, 1, 
-                                  this._texture.naturalHeight, i, 
-                                  (this._sh / 2) - line_height, 1, 
-                                  line_height * 2);
-                // ...or draw solid colors.
-                } else {
-                    ctx.beginPath();
-                    ctx.strokeStyle = COLORS[collision[2]];
-                    ctx.moveTo(i + 0.5, (this._sh / 2) - line_height);
-                    ctx.lineTo(i + 0.5, (this._sh / 2) + line_height);
-                    ctx.stroke();
-                }
+            this._hint = {path: path, until: this._time + HINT_TIME};
+        }
+    }
+
+    /**
+     * Steers the camera along the shortest way out, opening doors on the way.
+     * @param {number} theDelta - The length of the step (see update).
+     */
+    autoWalk(theDelta) {
+        const tx = Math.floor(this.x);
+        const ty = Math.floor(this.y);
+        // Only look for a new way out after reaching another tile.
+        if (this._auto_path === null || this._auto_path[0][0] !== tx ||
+                this._auto_path[0][1] !== ty) {
+            this._auto_path = new PathFinder(this.world).solve(
+                    this.x, this.y, "astar", this._inventory);
+        }
+        if (this._auto_path === null) {
+            this._auto_walk = false;
+            delete this._analog.auto;
+            this.notify("Auto-walk can't find a way out.");
+        } else if (this._auto_path.length > 1) {
+            const [next_x, next_y] = this._auto_path[1];
+            const dx = next_x + 0.5 - this.x;
+            const dy = next_y + 0.5 - this.y;
+            const blocked = this.world.blocksMovement(next_x, next_y);
+            if (blocked) {
+                this.world.use(next_x, next_y, dx, dy, this._inventory);
             }
+            // The angle to the next tile, from -PI to PI.
+            const heading = Math.atan2(dy, dx) - this._cam_ray.theta;
+            const angle = Math.atan2(Math.sin(heading), Math.cos(heading));
+            // Turn no farther than the angle, so as not to overshoot.
+            const turn = theDelta > 0 ? Math.min(1, Math.max(-1,
+                    angle / (ANGLE_DELTA * theDelta))) : 0;
+            const forward = !blocked && Math.abs(angle) < AUTO_WALK_AIM ?
+                            1 : 0;
+            this.steer("auto", forward, 0, turn);
+        }
+    }
+
+    /**
+     * Turns the camera by a mouse movement, over the next frames.
+     * @param {number} theDx - How far the mouse moved right in pixels.
+     */
+    look(theDx) {
+        if (typeof theDx !== "number" || isNaN(theDx)) {
+            throw new Error("Camera.look passed a non-numeric type.");
+        } else {
+            this._look += theDx * MOUSE_TURN * this._mouse.sensitivity *
+                          (this._mouse.invert ? -1 : 1);
         }
     }
 
     /**
-     * Handles input.
-     * @param theEvent {Event} - The event that this function is handling.
-     * @param theBool {boolean} - Whether the key was pressed (true) or released
-     * (false).
+     * Sets how far a source of analog input, like a gamepad's sticks, is
+     * pushed. It's added to the keys held down until it's set again.
+     * @param {string} theSource - The name of the source.
+     * @param {number} theForward - How far forward (1) or back (-1).
+     * @param {number} theStrafe - How far right (1) or left (-1).
+     * @param {number} theTurn - How far to turn right (1) or left (-1).
      */
-    handleInput(theEvent, theBool) {
-        if (theEvent.key in this._keymap) {
-            theEvent.preventDefault();
-            this._keymap[theEvent.key] = theBool;
+    steer(theSource, theForward, theStrafe, theTurn) {
+        if (typeof theSource !== "string") {
+            throw new Error("Camera.steer passed a non-string source.");
+        } else if ([theForward, theStrafe, theTurn].some((theAmount) => {
+                    return typeof theAmount !== "number" ||
+                           !(theAmount >= -1 && theAmount <= 1);
+                })) {
+            throw new Error("Camera.steer amounts must be from -1 to 1.");
+        } else if (theForward === 0 && theStrafe === 0 && theTurn === 0) {
+            delete this._analog[theSource];
+        } else {
+            this._analog[theSource] = {forward: theForward, strafe: theStrafe,
+                                       turn: theTurn};
         }
     }
 
     /**
-     * Called every frame.
-     * @param theDelta {number} - The time (in seconds) since the last frame.
+     * Moves the camera and the world on by one step of the simulation. The
+     * same steps with the same input always end up in the same place.
+     * @param theDelta {number} - The length of the step in seconds.
+     * @returns {boolean} Whether the view changed and needs to be redrawn.
      */
     update(theDelta) {
+        let changed = false;
+        this._time += theDelta;
         // Handle input.
-        if (this._keymap["ArrowLeft"]) {
-            this._cam_ray.theta -= ANGLE_DELTA * theDelta;
-            this.updateCanvas();
+        if (this._auto_walk) {
+            this.autoWalk(theDelta);
+        }
+        const held = this._held;
+        // Add the analog sticks to the keys, which count as all the way.
+        let forward = Number(held.forward) - Number(held.back);
+        let strafe = Number(held.strafeRight) - Number(held.strafeLeft);
+        let turn = Number(held.turnRight) - Number(held.turnLeft);
+        for (const analog of Object.values(this._analog)) {
+            forward += analog.forward;
+            strafe += analog.strafe;
+            turn += analog.turn;
         }
-        if (this._keymap["ArrowRight"]) {
-            this._cam_ray.theta += ANGLE_DELTA * theDelta;
-            this.updateCanvas();
+        if (turn !== 0) {
+            turn = Math.min(1, Math.max(-1, turn));
+            this._cam_ray.theta += turn * ANGLE_DELTA * theDelta;
+            changed = true;
+        }
+        if (this._look !== 0) {
+            // Turn part of the way each frame when smoothing, or all at once.
+            let look = this._look * (1 - this._mouse.smoothing **
+                                     (theDelta / SMOOTHING_TIME));
+            if (Math.abs(this._look - look) < SMOOTHING_EPSILON) {
+                look = this._look;
+            }
+            this._cam_ray.theta += look;
+            this._look -= look;
+            changed = true;
         }
-        if (this._keymap["ArrowUp"]) {
-            let x_comp = POS_DELTA * theDelta * (Math.cos(this._cam_ray.theta));
-            let y_comp = POS_DELTA * theDelta * (Math.sin(this._cam_ray.theta));
-            this.move(x_comp, y_comp);
-            this.updateCanvas();
+        if (forward !== 0 || strafe !== 0) {
+            // A stick part of the way moves slower, but moving diagonally is
+            // no faster than moving straight.
+            const amount = Math.hypot(forward, strafe);
+            const dist = POS_DELTA * theDelta * (held.run ? RUN_FACTOR : 1) *
+                         Math.min(1, amount) / amount;
+            const cos = Math.cos(this._cam_ray.theta);
+            const sin = Math.sin(this._cam_ray.theta);
+            // With the y-axis pointing down, right is a quarter turn clockwise.
+            this.move((forward * cos - strafe * sin) * dist,
+                      (forward * sin + strafe * cos) * dist);
+            changed = true;
         }
-        if (this._keymap["ArrowDown"]) {
-            let x_comp = -POS_DELTA * theDelta * (Math.cos(this._cam_ray.theta));
-            let y_comp = -POS_DELTA * theDelta * (Math.sin(this._cam_ray.theta));
-            this.move(x_comp, y_comp);
-            this.updateCanvas();
+        // Move doors and secret walls, then pick up anything in reach.
+        if (this.world.update(theDelta, this.x, this.y, BOUND_SIZE)) {
+            changed = true;
         }
+        for (const type of this.world.takeItems(this.x, this.y, 
+                                                PICKUP_RADIUS)) {
+            this._inventory.push(type);
+            this.notify(`Picked up a ${type}.`);
+        }
+        if (this._hint !== null && this._time >= this._hint.until) {
+            this._hint = null;
+            changed = true;
+        }
+        // Keep drawing a notice until it's gone.
+        if (this._notice !== null) {
+            if (this._time >= this._notice.until) {
+                this._notice = null;
+            }
+            changed = true;
+        }
+        // Animated sprites need redrawing even when the camera is still.
+        return changed || this.world.sprites.some((theS) => theS.animated);
     }
 
     /**
@@ -221,41 +480,22 @@ export class Camera {
         } else if (theX === null || theY === null) {
             throw new Error("Camera.move passed null type.");
         }
-        // Give world an alias for more readable code.
-        const w = this._cam_ray.world;
-        // If the new position is not free...
-        if (w.checkCollCirc(this.x + theX, this.y + theY, BOUND_SIZE)) {
-            // Find the position where the bounding box no longer collides.
-            let t_x = 0;
-            let t_y = 0;
-            let x_flag = true;
-            let y_flag = true;
-            while (x_flag || y_flag) {
-                let u = SLIDE * Math.sign(theX);
-                let v = SLIDE * Math.sign(theY);
-                if (u != 0 && Math.abs(t_x + u) <= Math.abs(theX) &&
-                        !w.checkCollCirc(this.x + t_x + u, this.y + t_y, 
-                        BOUND_SIZE)) {
-                    t_x += u;
-                } else {
-                    x_flag = false;
-                }
-                if (v != 0 && Math.abs(t_y + v) <= Math.abs(theY) &&
-                        !w.checkCollCirc(this.x + t_x, this.y + t_y + v, 
-                        BOUND_SIZE)) {
-                    t_y += v;
-                } else {
-                    y_flag = false;
-                }
-            }
-            // Move to that position.
-            this.x += t_x;
-            this.y += t_y;
-        // If the new position is free...
-        } else {
-            this.x += theX;
-            this.y += theY;
+        // Move in short steps so that a long frame can't jump through a wall.
+        const steps = Math.max(1, Math.ceil(Math.hypot(theX, theY) / 
+                                            MAX_STEP));
+        let x = this.x;
+        let y = this.y;
+        for (let i = 0; i < steps; i++) {
+            [x, y] = this.world.resolveCircle(x + theX / steps, 
+                                              y + theY / steps, BOUND_SIZE);
         }
+        this.x = x;
+        this.y = y;
+    }
+
+    /** @returns {World} The world the camera is in. */
+    get world() {
+        return this._cam_ray.world;
     }
 
     /** @returns The camera's x-coordinate. */
@@ -266,7 +506,6 @@ export class Camera {
     /** @param theX {number} - The new x-coordinate. */
     set x(theX) {
         this._cam_ray.x = theX;
-        this._draw_ray.x = theX;
     }
 
     /** @returns The camera's y-coordinate. */
@@ -277,7 +516,16 @@ export class Camera {
     /** @param theY {number} - The new y-coordinate. */
     set y(theY) {
         this._cam_ray.y = theY;
-        this._draw_ray.y = theY;
+    }
+
+    /** @returns {number} The camera's angle in radians. */
+    get theta() {
+        return this._cam_ray.theta;
+    }
+
+    /** @returns {number} The FOV in degrees. */
+    get fov() {
+        return this._fov_d;
     }
 
     /** @param theFov {number} - The new FOV (in degrees). */
@@ -289,6 +537,11 @@ export class Camera {
         }
     }
 
+    /** @returns {number} The screen width in pixels. */
+    get sw() {
+        return this._sw;
+    }
+
     /** @param theSw {number} - The new screen width (in pixels). */
     set sw(theSw) {
         if (isNaN(theSw) || theSw < SCREEN_MIN || theSw > SCREEN_MAX) {
@@ -298,6 +551,11 @@ export class Camera {
         }
     }
 
+    /** @returns {number} The screen height in pixels. */
+    get sh() {
+        return this._sh;
+    }
+
     /** @param theSh {number} - The new screen height (in pixels). */
     set sh(theSh) {
         if (isNaN(theSh) || theSh < SCREEN_MIN || theSh > SCREEN_MAX) {
@@ -308,12 +566,96 @@ export class Camera {
         }
     }
 
+    /** @returns {boolean} Whether the game is drawn with textures. */
+    get textured() {
+        return this._renderer.textured;
+    }
+
     /** @param {boolean} theTextured - Whether the game is drawn with textures. */
     set textured(theTextured) {
         if (typeof theTextured !== "boolean") {
             throw new Error("Type must be boolean.");
         } else {
-            this._textured = theTextured;
+            this._renderer.textured = theTextured;
+        }
+    }
+
+    /** @returns {string[]} The types of the items the camera holds. */
+    get inventory() {
+        return [...this._inventory];
+    }
+
+    /**
+     * @param {string[]} theInventory - The types of the items the camera
+     * holds, in place of the ones it held.
+     */
+    set inventory(theInventory) {
+        if (!Array.isArray(theInventory) || theInventory.some((theType) => {
+                    return typeof theType !== "string";
+                })) {
+            throw new Error("Inventory must be an array of strings.");
+        } else {
+            this._inventory = [...theInventory];
+        }
+    }
+
+    /** @returns {Object} A copy of the mouse look settings. */
+    get mouse() {
+        return {...this._mouse};
+    }
+
+    /**
+     * @param {Object} theMouse - The mouse look settings as {sensitivity,
+     * invert, smoothing}: how quickly the camera turns relative to the
+     * default (greater than 0), whether to turn the other way, and how much of
+     * each movement is left to turn after a 60th of a second (from 0 to 1,
+     * exclusive).
+     */
+    set mouse(theMouse) {
+        if (theMouse === null || typeof theMouse !== "object") {
+            throw new Error("Mouse settings must be an object.");
+        } else if (typeof theMouse.sensitivity !== "number" ||
+                !(theMouse.sensitivity > 0)) {
+            throw new Error("Mouse sensitivity must be a positive number.");
+        } else if (typeof theMouse.invert !== "boolean") {
+            throw new Error("Mouse invert must be a boolean.");
+        } else if (typeof theMouse.smoothing !== "number" ||
+                !(theMouse.smoothing >= 0 && theMouse.smoothing < 1)) {
+            throw new Error("Mouse smoothing must be a number from 0 to 1.");
+        } else {
+            this._mouse = {sensitivity: theMouse.sensitivity,
+                           invert: theMouse.invert,
+                           smoothing: theMouse.smoothing};
         }
     }
+
+    /**
+     * @param {number} theScale - The size to render the view at relative to
+     * the screen, from 0 (exclusive) to 1.
+     */
+    set scale(theScale) {
+        if (typeof theScale !== "number" || !(theScale > 0 && theScale <= 1)) {
+            throw new Error("Render scale must be a number from 0 to 1.");
+        } else {
+            this._scale = theScale;
+        }
+    }
+}
+
+/**
+ * @param {number} theWidth - The canvas's width in pixels.
+ * @param {number} theHeight - The canvas's height in pixels.
+ * @returns {HTMLCanvasElement|OffscreenCanvas} A canvas that isn't on the
+ * page, which is an OffscreenCanvas where there's no page, as in a worker.
+ */
+function createCanvas(theWidth, theHeight) {
+    let rv = null;
+    if (typeof document === "undefined") {
+        rv = new OffscreenCanvas(theWidth, theHeight);
+    } else {
+        rv = document.createElement("canvas");
+        rv.width = theWidth;
+        rv.height = theHeight;
+    }
+    return rv;
 }
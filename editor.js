@@ -0,0 +1,580 @@
+/**
+ * @file Contains the level editor, which paints a level's tiles, start and
+ * exits on its top-down view and keeps its edits so that they can be undone.
+ * The page around it is set up in main.js.
+ * @author Marcus Bartlett
+ */
+
+import { parseLevel } from "./level.js";
+import { World } from "./world.js";
+import { MATERIALS, SPRITES, wallTiles } from "./materials.js";
+
+/** The width, in tiles, of the level the editor starts with. */
+export const EDITOR_WIDTH = 15;
+
+/** The height, in tiles, of the level the editor starts with. */
+export const EDITOR_HEIGHT = 15;
+
+/** The smallest width or height, in tiles, of a new level. */
+export const LEVEL_MIN = 3;
+
+/** The largest width or height, in tiles, of a new level. */
+export const LEVEL_MAX = 64;
+
+/** The wall that new levels are bordered with. */
+const BORDER_TILE = 1;
+
+/** The most edits that are kept to be undone. */
+const UNDO_LIMIT = 200;
+
+/** How many degrees the start turns when it's placed on its own tile. */
+const START_TURN = 90;
+
+/** The decimal places that angles are rounded to when exported. */
+const ANGLE_DIGITS = 6;
+
+/** What each level of a level file is indented by when exported. */
+const INDENT = "    ";
+
+/** The color behind the map. */
+const BACKGROUND_COLOR = "#202020";
+
+/** The color of the lines between tiles. */
+const GRID_COLOR = "rgba(255, 255, 255, 0.15)";
+
+/** The color of exit tiles. */
+const EXIT_COLOR = "#3cdc5a";
+
+/** The color of the start. */
+const START_COLOR = "#ff3030";
+
+/** The radius, in tiles, of the start. */
+const START_RADIUS = 0.3;
+
+/** The length, in tiles, of the line showing which way the start faces. */
+const FACING_LENGTH = 0.75;
+
+/** The radius, in tiles, of a sprite. */
+const SPRITE_RADIUS = 0.15;
+
+/**
+ * The tools the editor's palette offers, in order, each with a label and a
+ * color for the page. A tool is a tile value to paint, "start" to place the
+ * start or turn it, or "exit" to add or remove an exit (see Editor.apply).
+ */
+export const PALETTE = [{tool: 0, label: "Empty", color: BACKGROUND_COLOR}];
+for (const tile of wallTiles()) {
+    const name = MATERIALS[tile].name;
+    PALETTE.push({tool: tile, label: name[0].toUpperCase() + name.slice(1),
+                  color: MATERIALS[tile].color});
+}
+PALETTE.push({tool: "start", label: "Start", color: START_COLOR},
+             {tool: "exit", label: "Exit", color: EXIT_COLOR});
+
+/** Describes a level being edited, along with the edits made to it. */
+export class Editor {
+    /** Constructs an Editor instance with an empty walled-in level. */
+    constructor() {
+        /** The level's name. */
+        this._name = "";
+        /** The tile values, as rows. */
+        this._tilemap = [];
+        /** The level's floor layer, which is kept as it is, or null. */
+        this._floors = null;
+        /** The level's ceiling layer, which is kept as it is, or null. */
+        this._ceilings = null;
+        /** The level's wall height layer, which is kept as it is, or null. */
+        this._heights = null;
+        /** The level's elevation layer, which is kept as it is, or null. */
+        this._elevations = null;
+        /** The level's segments, which are kept as they are. */
+        this._segments = [];
+        /** Where the camera starts as {x, y, angle} with angle in degrees. */
+        this._start = null;
+        /** The exit tiles as [x, y] pairs. */
+        this._exits = [];
+        /** The sprites as {type, x, y, angle} with angles in degrees. */
+        this._sprites = [];
+        /** The level's settings, which are kept as they are. */
+        this._settings = {};
+        /** The level before each edit that can be undone, oldest first. */
+        this._undo = [];
+        /** The level before each edit that was undone, latest last. */
+        this._redo = [];
+        /** Whether a stroke is being painted (see beginStroke). */
+        this._stroking = false;
+        /** Whether the stroke being painted has changed anything yet. */
+        this._stroke_changed = false;
+        /** The level's world, or null until it's asked for again. */
+        this._world = null;
+        this.clear(EDITOR_WIDTH, EDITOR_HEIGHT);
+    }
+
+    /**
+     * Starts a new level that's empty but for a border of walls, with the
+     * start in the middle. Nothing before it can be undone.
+     * @param {number} theWidth - The level's width in tiles.
+     * @param {number} theHeight - The level's height in tiles.
+     */
+    clear(theWidth, theHeight) {
+        if (![theWidth, theHeight].every((theDim) => {
+                    return Number.isInteger(theDim) && theDim >= LEVEL_MIN &&
+                           theDim <= LEVEL_MAX;
+                })) {
+            throw new Error(`A level must be from ${LEVEL_MIN} to ` +
+                            `${LEVEL_MAX} tiles wide and high.`);
+        }
+        this._name = "";
+        this._tilemap = [];
+        for (let y = 0; y < theHeight; y++) {
+            const row = [];
+            for (let x = 0; x < theWidth; x++) {
+                const edge = x === 0 || y === 0 || x === theWidth - 1 ||
+                             y === theHeight - 1;
+                row.push(edge ? BORDER_TILE : 0);
+            }
+            this._tilemap.push(row);
+        }
+        this._floors = null;
+        this._ceilings = null;
+        this._heights = null;
+        this._elevations = null;
+        this._segments = [];
+        this._start = {x: Math.floor(theWidth / 2) + 0.5,
+                       y: Math.floor(theHeight / 2) + 0.5, angle: 0};
+        this._exits = [];
+        this._sprites = [];
+        this._settings = {};
+        this.forget();
+    }
+
+    /**
+     * Loads a level to edit in place of the current one. It doesn't have to
+     * be playable yet (see parseLevel), but it must otherwise be valid.
+     * Nothing before it can be undone.
+     * @param {Object|string} theData - A level object, a JSON string or a
+     * level in the ASCII format (see levels/README.md).
+     */
+    load(theData) {
+        const level = parseLevel(theData, false);
+        this._name = level.name;
+        this._tilemap = level.tilemap.map((theRow) => [...theRow]);
+        this._floors = level.floors;
+        this._ceilings = level.ceilings;
+        this._heights = level.heights;
+        this._elevations = level.elevations;
+        this._segments = level.segments;
+        this._start = {x: level.start.x, y: level.start.y,
+                       angle: toDegrees(level.start.angle)};
+        this._exits = level.exits;
+        this._sprites = level.sprites.map((theSprite) => {
+            return {...theSprite, angle: toDegrees(theSprite.angle)};
+        });
+        this._settings = level.settings;
+        this.forget();
+    }
+
+    /**
+     * Uses a tool of the palette on a tile.
+     * @param {number} theX - The tile's x-coordinate.
+     * @param {number} theY - The tile's y-coordinate.
+     * @param {number|string} theTool - The tool (see PALETTE).
+     * @returns {boolean} Whether the level changed.
+     */
+    apply(theX, theY, theTool) {
+        const inside = Number.isInteger(theX) && Number.isInteger(theY) &&
+                       theX >= 0 && theY >= 0 && theX < this.width &&
+                       theY < this.height;
+        let rv = false;
+        if (inside && theTool === "start") {
+            rv = this.placeStart(theX, theY);
+        } else if (inside && theTool === "exit") {
+            rv = this.toggleExit(theX, theY);
+        } else if (inside) {
+            rv = this.setTile(theX, theY, theTool);
+        }
+        return rv;
+    }
+
+    /**
+     * Paints a tile. Walls can't be painted over the start, and they take
+     * the place of any exit or sprites on the tile.
+     * @param {number} theX - The tile's x-coordinate.
+     * @param {number} theY - The tile's y-coordinate.
+     * @param {number} theTile - The tile value.
+     * @returns {boolean} Whether the level changed.
+     */
+    setTile(theX, theY, theTile) {
+        let rv = false;
+        if (theTile !== 0 && !wallTiles().includes(theTile)) {
+            throw new Error(`Unknown tile code ${JSON.stringify(theTile)}.`);
+        } else if (this._tilemap[theY][theX] !== theTile &&
+                (theTile === 0 || !this.isStart(theX, theY))) {
+            this.remember();
+            this._tilemap[theY][theX] = theTile;
+            if (theTile !== 0) {
+                this._exits = this._exits.filter(([theEx, theEy]) => {
+                    return theEx !== theX || theEy !== theY;
+                });
+                this._sprites = this._sprites.filter((theSprite) => {
+                    return Math.floor(theSprite.x) !== theX ||
+                           Math.floor(theSprite.y) !== theY;
+                });
+            }
+            rv = true;
+        }
+        return rv;
+    }
+
+    /**
+     * Moves the start to the middle of a tile, clearing it if it's a wall,
+     * or turns the start if it's already there.
+     * @param {number} theX - The tile's x-coordinate.
+     * @param {number} theY - The tile's y-coordinate.
+     * @returns {boolean} Whether the level changed.
+     */
+    placeStart(theX, theY) {
+        this.remember();
+        if (this.isStart(theX, theY)) {
+            this._start.angle = (this._start.angle + START_TURN) % 360;
+        } else {
+            this._start = {x: theX + 0.5, y: theY + 0.5,
+                           angle: this._start.angle};
+            this._tilemap[theY][theX] = 0;
+            this._exits = this._exits.filter(([theEx, theEy]) => {
+                return theEx !== theX || theEy !== theY;
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Makes a tile an exit, clearing it if it's a wall, or makes an exit an
+     * ordinary tile again. The start's tile can't be an exit.
+     * @param {number} theX - The tile's x-coordinate.
+     * @param {number} theY - The tile's y-coordinate.
+     * @returns {boolean} Whether the level changed.
+     */
+    toggleExit(theX, theY) {
+        let rv = false;
+        if (!this.isStart(theX, theY)) {
+            this.remember();
+            const exits = this._exits.filter(([theEx, theEy]) => {
+                return theEx !== theX || theEy !== theY;
+            });
+            if (exits.length === this._exits.length) {
+                exits.push([theX, theY]);
+                this._tilemap[theY][theX] = 0;
+            }
+            this._exits = exits;
+            rv = true;
+        }
+        return rv;
+    }
+
+    /**
+     * @param {number} theX - A tile's x-coordinate.
+     * @param {number} theY - A tile's y-coordinate.
+     * @returns {boolean} Whether the start is on the tile.
+     */
+    isStart(theX, theY) {
+        return Math.floor(this._start.x) === theX &&
+               Math.floor(this._start.y) === theY;
+    }
+
+    /**
+     * Starts a stroke, such as a drag across the map, so that everything it
+     * changes is undone together.
+     */
+    beginStroke() {
+        this._stroking = true;
+        this._stroke_changed = false;
+    }
+
+    /** Ends the stroke being painted. */
+    endStroke() {
+        this._stroking = false;
+    }
+
+    /**
+     * A helper function that keeps the level as it is before an edit so that
+     * the edit can be undone, unless the edit is part of a stroke that has
+     * already been kept. Edits that were undone can't be redone after it.
+     */
+    remember() {
+        if (!this._stroking || !this._stroke_changed) {
+            this._undo.push(this.snapshot());
+            if (this._undo.length > UNDO_LIMIT) {
+                this._undo.shift();
+            }
+            this._redo = [];
+            this._stroke_changed = true;
+        }
+        this._world = null;
+    }
+
+    /** A helper function that throws away every edit kept to be undone. */
+    forget() {
+        this._undo = [];
+        this._redo = [];
+        this._stroking = false;
+        this._world = null;
+    }
+
+    /**
+     * Undoes the last edit.
+     * @returns {boolean} Whether there was one to undo.
+     */
+    undo() {
+        let rv = false;
+        if (this._undo.length > 0) {
+            this._redo.push(this.snapshot());
+            this.restore(this._undo.pop());
+            rv = true;
+        }
+        return rv;
+    }
+
+    /**
+     * Redoes the last edit undone.
+     * @returns {boolean} Whether there was one to redo.
+     */
+    redo() {
+        let rv = false;
+        if (this._redo.length > 0) {
+            this._undo.push(this.snapshot());
+            this.restore(this._redo.pop());
+            rv = true;
+        }
+        return rv;
+    }
+
+    /**
+     * A helper function that copies the parts of the level that can be
+     * edited.
+     * @returns {Object} The copy as {name, tilemap, start, exits, sprites}.
+     */
+    snapshot() {
+        return {name: this._name,
+                tilemap: this._tilemap.map((theRow) => [...theRow]),
+                start: {...this._start},
+                exits: this._exits.map((theExit) => [...theExit]),
+                sprites: this._sprites.map((theSprite) => ({...theSprite}))};
+    }
+
+    /**
+     * A helper function that puts the level back as a snapshot has it.
+     * @param {Object} theSnapshot - The snapshot, as returned by snapshot.
+     */
+    restore(theSnapshot) {
+        this._name = theSnapshot.name;
+        this._tilemap = theSnapshot.tilemap;
+        this._start = theSnapshot.start;
+        this._exits = theSnapshot.exits;
+        this._sprites = theSnapshot.sprites;
+        this._world = null;
+    }
+
+    /** @returns {string} The level's name. */
+    get name() {
+        return this._name;
+    }
+
+    /** @param {string} theName - The level's new name. */
+    set name(theName) {
+        if (typeof theName !== "string") {
+            throw new Error("Level name must be a string.");
+        } else if (theName !== this._name) {
+            this.remember();
+            this._name = theName;
+        }
+    }
+
+    /** @returns {boolean} Whether there's an edit to undo. */
+    get canUndo() {
+        return this._undo.length > 0;
+    }
+
+    /** @returns {boolean} Whether there's an edit to redo. */
+    get canRedo() {
+        return this._redo.length > 0;
+    }
+
+    /** @returns {number} The level's width in tiles. */
+    get width() {
+        return this._tilemap[0].length;
+    }
+
+    /** @returns {number} The level's height in tiles. */
+    get height() {
+        return this._tilemap.length;
+    }
+
+    /**
+     * @returns {Object} A copy of the level in the JSON format (see
+     * levels/README.md).
+     */
+    get level() {
+        const rv = {};
+        if (this._name !== "") {
+            rv.name = this._name;
+        }
+        rv.tilemap = this._tilemap.map((theRow) => [...theRow]);
+        if (this._floors !== null) {
+            rv.floors = this._floors.map((theRow) => [...theRow]);
+        }
+        if (this._ceilings !== null) {
+            rv.ceilings = this._ceilings.map((theRow) => [...theRow]);
+        }
+        if (this._heights !== null) {
+            rv.heights = this._heights.map((theRow) => [...theRow]);
+        }
+        if (this._elevations !== null) {
+            rv.elevations = this._elevations.map((theRow) => [...theRow]);
+        }
+        if (this._segments.length > 0) {
+            rv.segments = this._segments.map((theSegment) => {
+                return {...theSegment, from: [...theSegment.from],
+                        to: [...theSegment.to]};
+            });
+        }
+        rv.start = {...this._start};
+        rv.exits = this._exits.map((theExit) => [...theExit]);
+        if (this._sprites.length > 0) {
+            rv.sprites = this._sprites.map((theSprite) => {
+                const sprite = {type: theSprite.type, x: theSprite.x,
+                                y: theSprite.y};
+                if (theSprite.angle !== 0) {
+                    sprite.angle = theSprite.angle;
+                }
+                return sprite;
+            });
+        }
+        if (Object.keys(this._settings).length > 0) {
+            rv.settings = {...this._settings};
+        }
+        return rv;
+    }
+
+    /**
+     * @returns {World} The level's world, which is only made again after the
+     * level changes.
+     */
+    get world() {
+        if (this._world === null) {
+            this._world = World.fromLevel(this.level, false);
+        }
+        return this._world;
+    }
+
+    /**
+     * @returns {string} Why the level can't be played yet, or null if it can.
+     */
+    get problem() {
+        let rv = null;
+        try {
+            parseLevel(this.level);
+        } catch (theError) {
+            rv = theError.message;
+        }
+        return rv;
+    }
+
+    /**
+     * @returns {string} The level as a JSON file laid out like the ones in
+     * levels, with each row of tiles on a line of its own.
+     */
+    toText() {
+        return `${formatJSON(this.level, "")}\n`;
+    }
+
+    /**
+     * Draws the level from above, one unit per tile scaled up by the given
+     * size, with a grid over it and its exits, sprites and start marked.
+     * @param {CanvasRenderingContext2D} theCtx - The context to draw to.
+     * @param {number} theScale - The size of a tile in pixels.
+     */
+    draw(theCtx, theScale) {
+        theCtx.save();
+        theCtx.scale(theScale, theScale);
+        theCtx.fillStyle = BACKGROUND_COLOR;
+        theCtx.fillRect(0, 0, this.width, this.height);
+        theCtx.fillStyle = EXIT_COLOR;
+        for (const [x, y] of this._exits) {
+            theCtx.fillRect(x, y, 1, 1);
+        }
+        this.world.drawWorld(theCtx);
+        theCtx.strokeStyle = GRID_COLOR;
+        theCtx.lineWidth = 1 / theScale;
+        theCtx.beginPath();
+        for (let x = 0; x <= this.width; x++) {
+            theCtx.moveTo(x, 0);
+            theCtx.lineTo(x, this.height);
+        }
+        for (let y = 0; y <= this.height; y++) {
+            theCtx.moveTo(0, y);
+            theCtx.lineTo(this.width, y);
+        }
+        theCtx.stroke();
+        for (const sprite of this._sprites) {
+            theCtx.fillStyle = SPRITES[sprite.type].color;
+            theCtx.beginPath();
+            theCtx.arc(sprite.x, sprite.y, SPRITE_RADIUS, 0, 2 * Math.PI);
+            theCtx.fill();
+        }
+        const angle = this._start.angle * Math.PI / 180;
+        theCtx.fillStyle = START_COLOR;
+        theCtx.strokeStyle = START_COLOR;
+        theCtx.lineWidth = 2 / theScale;
+        theCtx.beginPath();
+        theCtx.arc(this._start.x, this._start.y, START_RADIUS, 0, 2 * Math.PI);
+        theCtx.fill();
+        theCtx.beginPath();
+        theCtx.moveTo(this._start.x, this._start.y);
+        theCtx.lineTo(this._start.x + Math.cos(angle) * FACING_LENGTH,
+                      this._start.y + Math.sin(angle) * FACING_LENGTH);
+        theCtx.stroke();
+        theCtx.restore();
+    }
+}
+
+/**
+ * Converts an angle as parsed from a level back to the degrees it was written
+ * in, without the rounding errors of the conversion.
+ * @param {number} theRadians - The angle in radians.
+ * @returns {number} The angle in degrees.
+ */
+function toDegrees(theRadians) {
+    return Number((theRadians * 180 / Math.PI).toFixed(ANGLE_DIGITS));
+}
+
+/**
+ * Writes a value as JSON, putting arrays and objects that only hold plain
+ * values on one line and everything else on one line per entry.
+ * @param {*} theValue - The value.
+ * @param {string} theIndent - The indent of the line the value starts on.
+ * @returns {string} The JSON.
+ */
+function formatJSON(theValue, theIndent) {
+    let rv = JSON.stringify(theValue);
+    if (theValue !== null && typeof theValue === "object") {
+        const inner = theIndent + INDENT;
+        const array = Array.isArray(theValue);
+        const entries = array ? theValue.map((theV) => [null, theV]) :
+                                Object.entries(theValue);
+        const parts = entries.map(([theKey, theV]) => {
+            return (theKey === null ? "" : `${JSON.stringify(theKey)}: `) +
+                   formatJSON(theV, inner);
+        });
+        const [open, close] = array ? ["[", "]"] : ["{", "}"];
+        if (entries.every(([, theV]) => {
+                    return theV === null || typeof theV !== "object";
+                })) {
+            rv = `${open}${parts.join(", ")}${close}`;
+        } else {
+            rv = `${open}\n${inner}${parts.join(`,\n${inner}`)}\n` +
+                 `${theIndent}${close}`;
+        }
+    }
+    return rv;
+}
@@ -3,130 +3,677 @@
  * @author Marcus Bartlett
  */
 
-import { FOV_ID, WIDTH_ID, HEIGHT_ID, CANVAS_ID, SCREEN_MIN, 
-         SCREEN_MAX, TEXTURED_ID } from "./main.js";
 import { Camera } from "./camera.js";
 import { Ray } from "./ray.js";
 import { World } from "./world.js";
+import { MazeGenerator } from "./maze.js";
+import { wallTiles, tileBlocks } from "./materials.js";
+import { Bindings, keyName } from "./input.js";
+import { SCREEN_MIN, SCREEN_MAX, FOV_MIN, FOV_MAX } from "./screen.js";
+import { MAP_ACTIONS } from "./minimap.js";
+import { Recording } from "./record.js";
 
-/** A 2D array of tiles. A 0 represents emptiness and 1 represents a wall. */
-const ROOM = [
-    [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
-    [1, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 1],
-    [1, 0, 1, 1, 1, 1, 0, 0, 1, 1, 1, 1, 1, 0, 1],
-    [1, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 1],
-    [1, 0, 1, 0, 1, 1, 1, 0, 0, 1, 1, 1, 1, 0, 1],
-    [1, 0, 1, 0, 1, 0, 1, 0, 0, 0, 1, 0, 1, 0, 1],
-    [1, 0, 1, 0, 1, 0, 1, 1, 1, 0, 1, 0, 1, 0, 1],
-    [0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 0, 1],
-    [1, 0, 1, 0, 1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 1],
-    [1, 0, 1, 0, 1, 0, 0, 0, 1, 0, 1, 0, 1, 0, 1],
-    [1, 0, 1, 0, 0, 1, 0, 1, 1, 1, 1, 1, 1, 0, 1],
-    [1, 0, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0, 1, 0, 1],
-    [1, 0, 1, 1, 1, 1, 1, 1, 0, 0, 1, 1, 0, 0, 1],
-    [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
-    [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1]
-];
-
-/** The x-coordinate of where the camera starts. */
-const START_X = 7;
-
-/** The y-coordinate of where the camera starts. */
-const START_Y = 7;
+/** The maze's width in cells. */
+const MAZE_WIDTH = 7;
+
+/** The maze's height in cells. */
+const MAZE_HEIGHT = 7;
+
+/** The algorithm used to generate the maze (see ALGORITHMS in maze.js). */
+const MAZE_ALGORITHM = "backtracker";
+
+/** The fraction of the maze's dead ends to remove. */
+const MAZE_BRAID = 0;
+
+/**
+ * The wall materials mazes are built from: the ordinary walls that block both
+ * sight and movement.
+ */
+const MAZE_WALLS = wallTiles("wall").filter((theTile) => {
+    return tileBlocks(theTile, "sight") && tileBlocks(theTile, "movement");
+});
+
+/** The level settings of generated mazes (see levels/README.md). */
+const GENERATED_SETTINGS = {floor: 1, ceiling: 2, fog: "linear",
+                            fogDistance: 14};
+
+/** The type of sprite that marks the exits of generated mazes. */
+const EXIT_SPRITE = "marker";
+
+/** How many cells wider and higher each level's maze is than the last one's. */
+const LEVEL_GROWTH = 2;
+
+/**
+ * The most generated levels a saved state can be on. A state can come from a
+ * shared link, and a much later level's maze would take too long to build.
+ */
+const GENERATED_MAX = 100;
+
+/**
+ * The time, in milliseconds, between frames where requestAnimationFrame isn't
+ * available.
+ */
+const FRAME_TIME = 1000 / 60;
+
+/**
+ * The length, in milliseconds, of each tick of the simulation. The game always
+ * moves on by whole ticks, however long its frames take, so that the same
+ * input always plays out the same way.
+ */
+const TICK_TIME = 1000 / 60;
+
+/**
+ * The most ticks simulated in one frame. After a longer stall the game slows
+ * down rather than simulating the whole stall at once.
+ */
+const MAX_TICKS = 8;
+
+/** How often, in milliseconds, the game's state is passed on to be saved. */
+const SAVE_TIME = 1000;
 
 /** Describes a game class, which starts and updates the game and objects. */
 export class Game {
     /** 
      * Constructs a game instance. 
-     * @param {HTMLImageElement} theTexture - The brick texture.
+     * @param {HTMLCanvasElement|OffscreenCanvas} theCanvas - The canvas to
+     * draw on, or null to only simulate (see tools/replay.js).
+     * @param {Object} theTextures - The loaded textures (see loadTextures in
+     * materials.js).
+     * @param {number|string} theSeed - The seed of the generated mazes.
+     * @param {Array} theLevels - Levels (see levels/README.md) to play before
+     * the generated mazes.
      */
-    constructor(theTexture) {
-        let w = new World(ROOM);
-        let c_x = START_X + 0.5;
-        let c_y = START_Y + 0.5;
-        let c_a = 0;
+    constructor(theCanvas, theTextures, theSeed = Date.now(), theLevels = []) {
+        /** The canvas the game is drawn on. */
+        this._canvas = theCanvas;
+        /** The seed that every generated level's maze is derived from. */
+        this._seed = theSeed;
+        /** The levels to play before the generated ones. */
+        this._levels = theLevels;
+        // Load every level now so that mistakes in them are reported up front.
+        for (let i = 0; i < theLevels.length; i++) {
+            try {
+                World.fromLevel(theLevels[i]);
+            } catch (theError) {
+                throw new Error(`Level ${i + 1}: ${theError.message}`);
+            }
+        }
+        /** The current level, starting from 1. */
+        this._level = 1;
+        let w = this.loadLevel(this._level);
+        let c_x = w.start.x;
+        let c_y = w.start.y;
+        let c_a = w.start.angle;
         /** The camera that does the looking and--yes--the drawing. */
-        this._cam = new Camera(new Ray(c_x, c_y, c_a, w, ROOM.length), 
-                               theTexture);
+        this._cam = new Camera(new Ray(c_x, c_y, c_a, w, w.height), 
+                               theTextures, theCanvas);
         /** The time at which the previous frame was drawn. */
         this._prev_frame = 0;
+        /** The time, in milliseconds, that has passed but isn't simulated. */
+        this._lag = 0;
+        /** How many ticks of the current level have been simulated. */
+        this._level_ticks = 0;
+        /** The time taken to finish the level, or null if it's unfinished. */
+        this._level_time = null;
+        /** The input given since the last tick (see applyInput). */
+        this._inputs = [];
+        /** The recording being made, or null. */
+        this._recording = null;
+        /** The recording being replayed, or null. */
+        this._replay = null;
+        /** The last recording made, which is replayed by default. */
+        this._last_recording = null;
+        /** The player's own mouse look settings while a replay uses others. */
+        this._own_mouse = null;
+        /** Called with each recording when it's finished. */
+        this._recorder = () => {};
+        /** Called with each level's settings when the level starts. */
+        this._listener = () => {};
+        /** Called with the game's state every so often to save it. */
+        this._saver = () => {};
+        /** The time at which the game's state was last saved. */
+        this._last_save = 0;
+        /** Which keys trigger which actions. */
+        this._bindings = new Bindings();
     }
 
-    /** Starts the game by adding event listeners and starting the game loop. */
-    start() {
-        this._cam.updateCanvas();
-        this._prev_frame = document.timeline.currentTime;
-        document.addEventListener("keydown", (theEvent) => {
-            this._cam.handleInput(theEvent, true);
-        });
-        document.addEventListener("keyup", (theEvent) => {
-            this._cam.handleInput(theEvent, false);
-        });
-        document.querySelector(`#${FOV_ID}`).
-                addEventListener("change", (theEvent) => {
-            this._cam.fov = Number(theEvent.target.value);
-            this._cam.updateCanvas();
-        });
-        document.querySelector(`#${WIDTH_ID}`).
-                addEventListener("change", (theEvent) => {
-            while (!theEvent.target.checkValidity()) {
-                theEvent.target.stepDown();
-            }
-            this.changeDimension(Number(theEvent.target.value), "width");
-        });
-        document.querySelector(`#${HEIGHT_ID}`).
-                addEventListener("change", (theEvent) => {
-            while (!theEvent.target.checkValidity()) {
-                theEvent.target.stepDown();
-            }
-            this.changeDimension(Number(theEvent.target.value), "height");
-        });
-        document.querySelector(`#${TEXTURED_ID}`).
-                addEventListener("change", (theEvent) => {
-            if (theEvent.target.checked) {
-                this._cam.textured = true;
-            } else {
-                this._cam.textured = false;
-            }
-            this._cam.updateCanvas();
-        });
-        window.requestAnimationFrame((theTime) => {
+    /**
+     * Starts the game loop.
+     * @param {Function} theListener - Called with each level's settings (see
+     * level.js) when the level starts, so that the page can show them.
+     * @param {Function} theSaver - Called with the game's state (see state)
+     * every SAVE_TIME milliseconds and whenever a level ends or starts, so
+     * that the page can save it.
+     * @param {Function} theRecorder - Called with each recording when it's
+     * finished (see record), so that the page can save it.
+     */
+    start(theListener = () => {}, theSaver = () => {},
+          theRecorder = () => {}) {
+        this._listener = theListener;
+        this._saver = theSaver;
+        this._recorder = theRecorder;
+        this.applySettings(this._cam.world.settings);
+        this.redraw();
+        nextFrame((theTime) => {
+            // Start timing from the first frame so that every timestamp comes
+            // from the same clock.
+            this._prev_frame = theTime;
+            this._last_save = theTime;
             this.updateGame(theTime);
         });
     }
 
     /**
-     * This function is the main game loop.
+     * This function is the main game loop. It simulates as many ticks as fit
+     * in the time since the last frame, then draws the result once.
      * @param {number} theTime - The timestamp of the end of the previous frame.
      */
     updateGame(theTime) {
-        this._cam.update((theTime - this._prev_frame) / 1000);
+        this._lag = Math.min(this._lag + theTime - this._prev_frame,
+                             MAX_TICKS * TICK_TIME);
         this._prev_frame = theTime;
-        window.requestAnimationFrame((theTheTime) => {
+        let changed = false;
+        while (this._lag >= TICK_TIME) {
+            this._lag -= TICK_TIME;
+            if (this.tick()) {
+                changed = true;
+            }
+        }
+        if (changed) {
+            this.redraw();
+        }
+        if (theTime - this._last_save >= SAVE_TIME) {
+            this.save();
+        }
+        nextFrame((theTheTime) => {
             this.updateGame(theTheTime);
         });
     }
 
     /**
-     * Changes the screen dimensions.
-     * @param {number} theNum - The new width or height of the screen.
-     * @param {string} theDim - Which dimension to change.
+     * Simulates one tick: applies the input given since the last one, or the
+     * input recorded for it when replaying, then moves everything on by
+     * TICK_TIME. Nothing happens while the completion screen is showing.
+     * @returns {boolean} Whether the view changed and needs to be redrawn.
+     */
+    tick() {
+        let rv = false;
+        if (this._level_time === null) {
+            let inputs = this._inputs;
+            this._inputs = [];
+            if (this._replay !== null) {
+                inputs = this._replay.inputsAt(this._level_ticks);
+            }
+            for (const input of inputs) {
+                if (this._recording !== null) {
+                    this._recording.add(this._level_ticks, input);
+                }
+                if (this.applyInput(input)) {
+                    rv = true;
+                }
+            }
+            if (this._cam.update(TICK_TIME / 1000)) {
+                rv = true;
+            }
+            this._level_ticks++;
+            if (this._cam.world.isExit(this._cam.x, this._cam.y)) {
+                this._level_time = this._level_ticks * TICK_TIME;
+                this.stopRecording();
+                this.stopReplay();
+                this.save();
+                rv = true;
+            } else if (this._replay !== null &&
+                    this._level_ticks >= this._replay.ticks) {
+                this.stopReplay();
+                rv = true;
+            }
+        }
+        return rv;
+    }
+
+    /**
+     * Applies an input to the camera.
+     * @param {Object} theInput - The input as {type, ...}: an "action" has
+     * {action, down, repeat} (see handleAction), "steer" has {source,
+     * forward, strafe, turn} (see steer) and "look" has {dx} (see look).
+     * @returns {boolean} Whether the view changed and needs to be redrawn.
+     */
+    applyInput(theInput) {
+        let rv = false;
+        if (theInput.type === "action") {
+            rv = this._cam.handleAction(theInput.action, theInput.down,
+                                        theInput.repeat);
+        } else if (theInput.type === "steer") {
+            this._cam.steer(theInput.source, theInput.forward,
+                            theInput.strafe, theInput.turn);
+        } else if (theInput.type === "look") {
+            this._cam.look(theInput.dx);
+        }
+        return rv;
+    }
+
+    /**
+     * Handles input.
+     * @param {KeyboardEvent} theEvent - The event that this function is
+     * handling.
+     * @param {boolean} theBool - Whether the key was pressed (true) or released
+     * (false).
+     */
+    handleInput(theEvent, theBool) {
+        const action = this._bindings.actionFor(theEvent.key);
+        if (action !== null) {
+            theEvent.preventDefault();
+            this.handleAction(action, theBool, theEvent.repeat);
+        }
+    }
+
+    /**
+     * Handles an action, from a key or from another kind of input like a
+     * gamepad's buttons.
+     * @param {string} theAction - The action (see ACTIONS in input.js).
+     * @param {boolean} theBool - Whether it started (true) or stopped (false).
+     * @param {boolean} theRepeat - Whether it's a repeat of one that started.
+     */
+    handleAction(theAction, theBool, theRepeat = false) {
+        if (theAction === "continue") {
+            if (theBool && this._level_time !== null) {
+                this.nextLevel();
+            }
+        } else if (theAction === "record") {
+            if (theBool && !theRepeat) {
+                this.record();
+            }
+        } else if (theAction === "replay") {
+            if (theBool && !theRepeat && this._replay !== null) {
+                this.stopReplay();
+                this.redraw();
+            } else if (theBool && !theRepeat) {
+                this.replay();
+            }
+        } else if (MAP_ACTIONS.includes(theAction)) {
+            if (this._cam.handleAction(theAction, theBool, theRepeat)) {
+                this.redraw();
+            }
+        } else if (this._replay === null) {
+            // Wait for the next tick, so that the input can be recorded.
+            this._inputs.push({type: "action", action: theAction,
+                               down: theBool, repeat: theRepeat});
+        }
+    }
+
+    /**
+     * Moves and turns the camera with analog input (see Camera.steer).
+     * @param {string} theSource - The name of the source, like "gamepad".
+     * @param {number} theForward - How far forward (1) or back (-1).
+     * @param {number} theStrafe - How far right (1) or left (-1).
+     * @param {number} theTurn - How far to turn right (1) or left (-1).
+     */
+    steer(theSource, theForward, theStrafe, theTurn) {
+        if (this._replay === null) {
+            this._inputs.push({type: "steer", source: theSource,
+                               forward: theForward, strafe: theStrafe,
+                               turn: theTurn});
+        }
+    }
+
+    /**
+     * Turns the camera by a mouse movement.
+     * @param {number} theDx - How far the mouse moved right in pixels.
+     */
+    look(theDx) {
+        if (this._level_time === null && this._replay === null) {
+            this._inputs.push({type: "look", dx: theDx});
+        }
+    }
+
+    /**
+     * Starts recording the current level from its start, or finishes the
+     * recording being made. A recording also finishes when its level does.
      */
-    changeDimension(theNum, theDim) {
-        if (theNum < SCREEN_MIN) {
-            theNum = SCREEN_MIN
-        } else if (theNum > SCREEN_MAX) {
-            theNum = SCREEN_MAX;
+    record() {
+        if (this._recording !== null) {
+            this.stopRecording();
+            this._cam.notify("Recording finished.");
+        } else {
+            this.stopReplay();
+            this.playLevel(this._seed, this._level);
+            this.release();
+            this._recording = new Recording(this._seed, this._level,
+                                            this._cam.mouse);
+            this._cam.notify("Recording.");
+        }
+        this.redraw();
+    }
+
+    /** Finishes the recording being made, if any, and passes it on. */
+    stopRecording() {
+        if (this._recording !== null) {
+            this._recording.finish(this._level_ticks, this._cam.x,
+                                   this._cam.y, this._cam.theta);
+            this._last_recording = this._recording;
+            this._recording = null;
+            this._recorder(this._last_recording);
+        }
+    }
+
+    /**
+     * Replays a recording from the start of its level. Only the map can be
+     * changed while it plays.
+     * @param {Recording} theRecording - The recording, which defaults to the
+     * last one made.
+     */
+    replay(theRecording = this._last_recording) {
+        if (theRecording === null) {
+            this._cam.notify("There's nothing to replay yet.");
+        } else if (!(theRecording instanceof Recording) ||
+                theRecording.ticks === null) {
+            throw new Error("Game can only replay finished recordings.");
+        } else {
+            this.stopRecording();
+            this.stopReplay();
+            this.playLevel(theRecording.seed, theRecording.level);
+            this.release();
+            this._own_mouse = this._cam.mouse;
+            this._cam.mouse = theRecording.mouse;
+            theRecording.rewind();
+            this._replay = theRecording;
+            this._cam.notify("Replaying.");
+        }
+        this.redraw();
+    }
+
+    /**
+     * Stops the replay that's playing, if any, and says whether it ended
+     * exactly where the recording did.
+     */
+    stopReplay() {
+        if (this._replay !== null) {
+            if (this._level_ticks < this._replay.ticks &&
+                    this._level_time === null) {
+                this._cam.notify("Replay stopped.");
+            } else if (this._replay.matches(this._cam.x, this._cam.y,
+                                            this._cam.theta)) {
+                this._cam.notify("The replay matched the recording.");
+            } else {
+                this._cam.notify("The replay didn't match the recording.");
+            }
+            this._replay = null;
+            this._cam.mouse = this._own_mouse;
+            this.release();
+        }
+    }
+
+    /**
+     * Lets go of all input, including any not yet applied, so that nothing
+     * from before a recording or replay carries over into it.
+     */
+    release() {
+        this._inputs = [];
+        this._cam.release();
+    }
+
+    /** @returns {boolean} Whether a recording is being replayed. */
+    get replaying() {
+        return this._replay !== null;
+    }
+
+    /**
+     * Changes one of the settings the page has inputs for.
+     * @param {string} theName - "fov", "width", "height", "textured",
+     * "scale", "bindings" or "mouse".
+     * @param {number|boolean|Object} theValue - The setting's new value, which
+     * for bindings is the keys bound to each action (see Bindings.keys) and
+     * for mouse is the mouse look settings (see Camera.mouse).
+     */
+    changeSetting(theName, theValue) {
+        if (theName === "fov") {
+            this._cam.fov = theValue;
+        } else if (theName === "width") {
+            this._cam.sw = theValue;
+            this.resizeCanvas();
+        } else if (theName === "height") {
+            this._cam.sh = theValue;
+            this.resizeCanvas();
+        } else if (theName === "textured") {
+            this._cam.textured = theValue;
+        } else if (theName === "scale") {
+            this._cam.scale = theValue;
+        } else if (theName === "bindings") {
+            this._bindings = new Bindings(theValue);
+        } else if (theName === "mouse") {
+            this._cam.mouse = theValue;
+            if (this._replay !== null) {
+                // Keep using the recording's until the replay is over.
+                this._own_mouse = this._cam.mouse;
+                this._cam.mouse = this._replay.mouse;
+            }
+        } else {
+            throw new Error(`Unknown setting '${theName}'.`);
         }
-        if (theDim === "width") {
-            this._cam.sw = theNum;
-        } else if (theDim === "height") {
-            this._cam.sh = theNum;
+        this.redraw();
+    }
+
+    /**
+     * Loads the world for a level. The given levels come first; after them,
+     * each maze is generated larger than the last with its own seed derived
+     * from the game's seed.
+     * @param {number} theLevel - The level number, starting from 1.
+     * @param {number|string} [theSeed] - The seed to derive the mazes from,
+     * if not the game's.
+     * @returns {World} The level's world.
+     */
+    loadLevel(theLevel, theSeed = this._seed) {
+        let rv = null;
+        if (theLevel <= this._levels.length) {
+            rv = World.fromLevel(this._levels[theLevel - 1]);
         } else {
-            throw new Error("Dimension must be 'width' or 'height.'");
+            const generated = theLevel - this._levels.length;
+            const growth = (generated - 1) * LEVEL_GROWTH;
+            const seed = generated === 1 ? theSeed : 
+                                           `${theSeed}:${generated}`;
+            const maze = new MazeGenerator(MAZE_WIDTH + growth, 
+                                           MAZE_HEIGHT + growth, seed).
+                    generate(MAZE_ALGORITHM, MAZE_BRAID, MAZE_WALLS);
+            maze.name = `Maze ${seed}`;
+            maze.settings = GENERATED_SETTINGS;
+            maze.sprites = maze.exits.map(([theX, theY]) => {
+                return {type: EXIT_SPRITE, x: theX + 0.5, y: theY + 0.5};
+            });
+            rv = World.fromLevel(maze);
+        }
+        return rv;
+    }
+
+    /**
+     * Applies a level's settings to the camera and passes them on to the
+     * listener.
+     * @param {Object} theSettings - The level's settings (see level.js).
+     */
+    applySettings(theSettings) {
+        if (theSettings.fov !== undefined) {
+            this._cam.fov = theSettings.fov;
+        }
+        if (theSettings.textured !== undefined) {
+            this._cam.textured = theSettings.textured;
         }
-        document.querySelector(`#${CANVAS_ID}`)["style"][theDim] = `${theNum}px`;
-        document.querySelector(`#${CANVAS_ID}`).setAttribute(theDim, theNum);
-        this._cam.updateCanvas();
+        this._listener(theSettings);
+    }
+
+    /** Leaves the completion screen and starts the next level. */
+    nextLevel() {
+        this.playLevel(this._seed, this._level + 1);
+        this.redraw();
+        this.save();
+    }
+
+    /**
+     * Starts a level from the beginning.
+     * @param {number|string} theSeed - The seed of the generated mazes, which
+     * replaces the game's.
+     * @param {number} theLevel - The level number, starting from 1.
+     */
+    playLevel(theSeed, theLevel) {
+        const w = this.loadLevel(theLevel, theSeed);
+        this._seed = theSeed;
+        this._level = theLevel;
+        this._cam.place(w, w.start.x, w.start.y, w.start.angle);
+        this.applySettings(w.settings);
+        this._level_ticks = 0;
+        this._level_time = null;
+    }
+
+    /** Passes the game's state on to be saved. */
+    save() {
+        this._last_save = this._prev_frame;
+        this._saver(this.state);
+    }
+
+    /**
+     * @returns {Object} Everything needed to pick the game up again where it
+     * is, as plain data: {seed, level, x, y, angle, fov, width, height,
+     * textured, time, inventory, taken, seen, pushed}. These are the maze
+     * seed, the level number, the camera's position, angle and FOV, the
+     * screen size, whether it's textured, the milliseconds spent on the
+     * level, the items held and the camera's progress through the world (see
+     * World.progress).
+     */
+    get state() {
+        const progress = this._cam.world.progress;
+        return {seed: this._seed, level: this._level, x: this._cam.x,
+                y: this._cam.y, angle: this._cam.theta, fov: this._cam.fov,
+                width: this._cam.sw, height: this._cam.sh,
+                textured: this._cam.textured,
+                time: Math.round(this._level_time !== null ? this._level_time :
+                                 this._level_ticks * TICK_TIME),
+                inventory: this._cam.inventory, taken: progress.taken,
+                seen: progress.seen, pushed: progress.pushed};
+    }
+
+    /**
+     * Picks the game up again from a state, replacing the current level.
+     * Nothing changes if the state is invalid.
+     * @param {Object} theState - The state, as returned by state.
+     */
+    restore(theState) {
+        if (theState === null || typeof theState !== "object") {
+            throw new Error("Game state must be an object.");
+        } else if (typeof theState.seed !== "number" &&
+                typeof theState.seed !== "string") {
+            throw new Error("Game state has an invalid seed.");
+        } else if (!Number.isInteger(theState.level) || theState.level < 1 ||
+                theState.level > this._levels.length + GENERATED_MAX) {
+            throw new Error("Game state has an invalid level.");
+        } else if (![theState.x, theState.y,
+                     theState.angle].every(Number.isFinite)) {
+            throw new Error("Game state has an invalid position.");
+        } else if (!(theState.fov >= FOV_MIN && theState.fov <= FOV_MAX)) {
+            throw new Error("Game state has an invalid FOV.");
+        } else if (![theState.width, theState.height].every((theDim) => {
+                    return theDim >= SCREEN_MIN && theDim <= SCREEN_MAX;
+                })) {
+            throw new Error("Game state has an invalid screen size.");
+        } else if (typeof theState.textured !== "boolean") {
+            throw new Error("Game state's textured flag must be a boolean.");
+        } else if (!Number.isFinite(theState.time) || theState.time < 0) {
+            throw new Error("Game state has an invalid time.");
+        } else if (!Array.isArray(theState.inventory) ||
+                theState.inventory.some((theType) => {
+                    return typeof theType !== "string";
+                })) {
+            throw new Error("Game state's inventory must be strings.");
+        }
+        // The level's maze is derived from the state's seed.
+        const w = this.loadLevel(theState.level, theState.seed);
+        w.progress = {taken: theState.taken, seen: theState.seen,
+                      pushed: theState.pushed};
+        if (!w.inBounds(Math.floor(theState.x), Math.floor(theState.y))) {
+            throw new Error("Game state's position is outside the map.");
+        } else if (w.kindAt(theState.x, theState.y) === "door") {
+            // Doors start shut, so open the one the camera was in.
+            if (w.use(theState.x, theState.y, 0, 0,
+                      theState.inventory) !== null) {
+                throw new Error("Game state's position is inside a door " +
+                                "it can't open.");
+            }
+        } else if (w.blocksMovement(theState.x, theState.y)) {
+            throw new Error("Game state's position is inside a wall.");
+        }
+        // Everything has been checked, so nothing from here on can fail
+        // partway through.
+        this._seed = theState.seed;
+        this._level = theState.level;
+        this._cam.place(w, theState.x, theState.y, theState.angle);
+        this._cam.inventory = theState.inventory;
+        this.applySettings({...w.settings, fov: theState.fov,
+                            textured: theState.textured});
+        this._cam.sw = theState.width;
+        this._cam.sh = theState.height;
+        this.resizeCanvas();
+        this._level_time = null;
+        this._level_ticks = Math.round(theState.time / TICK_TIME);
+        this.redraw();
+    }
+
+    /** Sizes the canvas to the camera's screen. */
+    resizeCanvas() {
+        // There's no canvas when only simulating.
+        if (this._canvas !== null) {
+            this._canvas.width = this._cam.sw;
+            this._canvas.height = this._cam.sh;
+        }
+    }
+
+    /** Redraws the view, along with the completion screen if it's showing. */
+    redraw() {
+        // There's nothing to draw on when only simulating.
+        if (this._canvas !== null) {
+            this._cam.updateCanvas();
+            if (this._level_time !== null) {
+                this.drawCompletion();
+            }
+        }
+    }
+
+    /** Draws the completion screen over the view. */
+    drawCompletion() {
+        // Round down so that 100% means every tile was seen.
+        const explored = Math.floor(100 * this._cam.world.explored);
+        const lines = [`Level ${this._level} complete!`,
+                       `Time: ${formatTime(this._level_time)}`,
+                       `Explored: ${explored}%`];
+        if (this._cam.world.name !== "") {
+            lines.splice(1, 0, this._cam.world.name);
+        }
+        const keys = this._bindings.keysFor("continue");
+        if (keys.length > 0) {
+            lines.push(`Press ${keyName(keys[0])} for level ` +
+                       `${this._level + 1}.`);
+        }
+        this._cam.drawMessage(lines);
+    }
+}
+
+/**
+ * Formats a duration as minutes, seconds and tenths of a second.
+ * @param {number} theMs - The duration in milliseconds.
+ * @returns {string} The duration formatted like "1:05.3".
+ */
+function formatTime(theMs) {
+    const tenths = Math.floor(theMs / 100);
+    const minutes = Math.floor(tenths / 600);
+    const seconds = ((tenths % 600) / 10).toFixed(1).padStart(4, "0");
+    return `${minutes}:${seconds}`;
+}
+
+/**
+ * Calls a function before the next frame, or after a short wait where
+ * requestAnimationFrame isn't available (such as in some workers).
+ * @param {Function} theCallback - Called with the frame's timestamp.
+ */
+function nextFrame(theCallback) {
+    if (typeof requestAnimationFrame === "function") {
+        requestAnimationFrame(theCallback);
+    } else {
+        setTimeout(() => theCallback(performance.now()), FRAME_TIME);
     }
 }
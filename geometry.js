@@ -0,0 +1,60 @@
+/**
+ * @file Contains helper functions for the line segments that levels can have
+ * besides their tiles: thin and diagonal walls (see levels/README.md).
+ * @author Marcus Bartlett
+ */
+
+/**
+ * How nearly parallel, as the cross product of their directions, two lines
+ * can be before they're treated as never meeting.
+ */
+const PARALLEL_EPSILON = 1e-12;
+
+/**
+ * Finds where two line segments cross, as fractions of the way along each.
+ * @param {number} theAx - The x-coordinate of the first segment's start.
+ * @param {number} theAy - The y-coordinate of the first segment's start.
+ * @param {number} theBx - The x-coordinate of the first segment's end.
+ * @param {number} theBy - The y-coordinate of the first segment's end.
+ * @param {number} theCx - The x-coordinate of the second segment's start.
+ * @param {number} theCy - The y-coordinate of the second segment's start.
+ * @param {number} theDx - The x-coordinate of the second segment's end.
+ * @param {number} theDy - The y-coordinate of the second segment's end.
+ * @returns {number[]} How far along the first and second segments they cross,
+ * each from 0 to 1, as [t, s], or null if they don't cross.
+ */
+export function intersect(theAx, theAy, theBx, theBy, theCx, theCy, theDx,
+                          theDy) {
+    let rv = null;
+    const ab_x = theBx - theAx;
+    const ab_y = theBy - theAy;
+    const cd_x = theDx - theCx;
+    const cd_y = theDy - theCy;
+    const denom = ab_x * cd_y - ab_y * cd_x;
+    if (Math.abs(denom) > PARALLEL_EPSILON) {
+        const ac_x = theCx - theAx;
+        const ac_y = theCy - theAy;
+        const t = (ac_x * cd_y - ac_y * cd_x) / denom;
+        const s = (ac_x * ab_y - ac_y * ab_x) / denom;
+        if (t >= 0 && t <= 1 && s >= 0 && s <= 1) {
+            rv = [t, s];
+        }
+    }
+    return rv;
+}
+
+/**
+ * Finds the point of a line segment nearest to another point.
+ * @param {number} theX - The other point's x-coordinate.
+ * @param {number} theY - The other point's y-coordinate.
+ * @param {Object} theSegment - The segment as {x0, y0, x1, y1}.
+ * @returns {number[]} The nearest point as [x, y].
+ */
+export function nearestOnSegment(theX, theY, theSegment) {
+    const dx = theSegment.x1 - theSegment.x0;
+    const dy = theSegment.y1 - theSegment.y0;
+    const t = ((theX - theSegment.x0) * dx + (theY - theSegment.y0) * dy) /
+              (dx * dx + dy * dy);
+    const clamped = Math.max(0, Math.min(1, t));
+    return [theSegment.x0 + clamped * dx, theSegment.y0 + clamped * dy];
+}
@@ -0,0 +1,183 @@
+/**
+ * @file Contains the actions the player can take and the key bindings that
+ * trigger them, which can be changed and saved in the browser.
+ * @author Marcus Bartlett
+ */
+
+import { warn } from "./log.js";
+
+/**
+ * The actions keys can be bound to, in the order the page lists them. Each
+ * action has a label for the page and the keys bound to it by default, named
+ * like KeyboardEvent.key (in lower case for characters).
+ */
+export const ACTIONS = {
+    forward: {label: "Forward", keys: ["w", "ArrowUp"]},
+    back: {label: "Back", keys: ["s", "ArrowDown"]},
+    turnLeft: {label: "Turn Left", keys: ["ArrowLeft"]},
+    turnRight: {label: "Turn Right", keys: ["ArrowRight"]},
+    strafeLeft: {label: "Strafe Left", keys: ["a"]},
+    strafeRight: {label: "Strafe Right", keys: ["d"]},
+    run: {label: "Run", keys: ["Shift"]},
+    use: {label: "Use", keys: [" ", "e"]},
+    map: {label: "Minimap", keys: ["m"]},
+    automap: {label: "Full Map", keys: ["Tab"]},
+    rotateMap: {label: "Rotate Map", keys: ["r"]},
+    zoomIn: {label: "Zoom In", keys: ["=", "+"]},
+    zoomOut: {label: "Zoom Out", keys: ["-"]},
+    hint: {label: "Hint", keys: ["h"]},
+    autoWalk: {label: "Auto-Walk", keys: ["g"]},
+    record: {label: "Record", keys: ["c"]},
+    replay: {label: "Replay", keys: ["p"]},
+    continue: {label: "Next Level", keys: ["Enter"]}
+};
+
+/** The localStorage key that custom bindings are saved under. */
+const STORAGE_KEY = "raycaster.bindings";
+
+/** The names shown for keys that don't show up as a character. */
+const KEY_NAMES = {" ": "Space", "ArrowUp": "Up", "ArrowDown": "Down",
+                   "ArrowLeft": "Left", "ArrowRight": "Right"};
+
+/** Describes which keys trigger which actions. */
+export class Bindings {
+    /**
+     * Constructs a Bindings instance.
+     * @param {Object} theKeys - The keys bound to each action, keyed by
+     * action (see ACTIONS). Actions left out get their default keys.
+     */
+    constructor(theKeys = {}) {
+        if (theKeys === null || typeof theKeys !== "object") {
+            throw new Error("Bindings must be passed an object.");
+        }
+        /** The keys bound to each action. */
+        this._keys = {};
+        for (const action of Object.keys(ACTIONS)) {
+            this._keys[action] = [...ACTIONS[action].keys];
+        }
+        for (const [action, keys] of Object.entries(theKeys)) {
+            if (!(action in ACTIONS)) {
+                throw new Error(`Unknown action '${action}'.`);
+            } else if (!Array.isArray(keys) ||
+                    keys.some((theKey) => typeof theKey !== "string")) {
+                throw new Error(`The keys of '${action}' must be strings.`);
+            } else {
+                this._keys[action] = keys.map(normalizeKey);
+            }
+        }
+    }
+
+    /**
+     * Loads the bindings saved in the browser.
+     * @returns {Bindings} The saved bindings, or the defaults if there aren't
+     * any or they can't be read.
+     */
+    static load() {
+        let rv = null;
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            rv = new Bindings(saved === null ? {} : JSON.parse(saved));
+        } catch (theError) {
+            warn("Couldn't load the saved controls " +
+                 `(${theError.message}); using the defaults instead.`);
+            rv = new Bindings();
+        }
+        return rv;
+    }
+
+    /** Saves the bindings in the browser. */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this._keys));
+        } catch (theError) {
+            warn(`Couldn't save the controls (${theError.message}).`);
+        }
+    }
+
+    /**
+     * @param {string} theKey - The key of a keyboard event.
+     * @returns {string} The action the key is bound to, or null if none.
+     */
+    actionFor(theKey) {
+        const key = normalizeKey(theKey);
+        let rv = null;
+        for (const action of Object.keys(this._keys)) {
+            if (rv === null && this._keys[action].includes(key)) {
+                rv = action;
+            }
+        }
+        return rv;
+    }
+
+    /**
+     * @param {string} theAction - An action (see ACTIONS).
+     * @returns {string[]} The keys bound to the action.
+     */
+    keysFor(theAction) {
+        if (!(theAction in ACTIONS)) {
+            throw new Error(`Unknown action '${theAction}'.`);
+        }
+        return [...this._keys[theAction]];
+    }
+
+    /**
+     * Binds a key to an action in place of its other keys. The key stops
+     * triggering whatever it was bound to before.
+     * @param {string} theAction - An action (see ACTIONS).
+     * @param {string} theKey - The key of a keyboard event.
+     */
+    bind(theAction, theKey) {
+        if (!(theAction in ACTIONS)) {
+            throw new Error(`Unknown action '${theAction}'.`);
+        }
+        const key = normalizeKey(theKey);
+        for (const action of Object.keys(this._keys)) {
+            this._keys[action] = this._keys[action].filter((theK) => {
+                return theK !== key;
+            });
+        }
+        this._keys[theAction] = [key];
+    }
+
+    /** Binds every action to its default keys again. */
+    reset() {
+        for (const action of Object.keys(ACTIONS)) {
+            this._keys[action] = [...ACTIONS[action].keys];
+        }
+    }
+
+    /**
+     * @returns {Object} The keys bound to each action, as plain data that can
+     * be saved or sent to a worker and passed back to the constructor.
+     */
+    get keys() {
+        const rv = {};
+        for (const action of Object.keys(this._keys)) {
+            rv[action] = [...this._keys[action]];
+        }
+        return rv;
+    }
+}
+
+/**
+ * @param {string} theKey - The key of a keyboard event.
+ * @returns {string} The name to show for the key.
+ */
+export function keyName(theKey) {
+    let rv = theKey;
+    if (theKey in KEY_NAMES) {
+        rv = KEY_NAMES[theKey];
+    } else if (theKey.length === 1) {
+        rv = theKey.toUpperCase();
+    }
+    return rv;
+}
+
+/**
+ * @param {string} theKey - The key of a keyboard event.
+ * @returns {string} The key in lower case if it's a character, so that Shift
+ * and Caps Lock don't matter.
+ */
+function normalizeKey(theKey) {
+    return theKey.length === 1 ? theKey.toLowerCase() : theKey;
+}
@@ -0,0 +1,671 @@
+/**
+ * @file Contains the parser and validator for level files. See
+ * levels/README.md for a description of the JSON and ASCII formats.
+ * @author Marcus Bartlett
+ */
+
+import { MATERIALS, SPRITES, wallTiles, flatTiles,
+         tileBlocks } from "./materials.js";
+import { FOG_MODES } from "./shading.js";
+import { intersect } from "./geometry.js";
+
+/**
+ * The tile values a level may contain: 0 is empty and the rest are walls of
+ * the material with that index (see materials.js).
+ */
+const TILE_CODES = [0, ...wallTiles()];
+
+/**
+ * The values a level's floor and ceiling layers may contain: 0 is the level's
+ * default and the rest are the flat with that index (see materials.js).
+ */
+const FLAT_CODES = [0, ...flatTiles()];
+
+/**
+ * How much higher, in tiles, the floor of a tile can be than the floor of the
+ * one next to it for the player to still step up onto it.
+ */
+export const STEP_HEIGHT = 0.25;
+
+/** The characters of an ASCII map that stand for a tile value. */
+const ASCII_TILES = {".": 0};
+for (const tile of wallTiles()) {
+    if (MATERIALS[tile].ascii !== undefined) {
+        ASCII_TILES[MATERIALS[tile].ascii] = tile;
+    }
+}
+
+/** The characters of an ASCII map that place a sprite on an empty tile. */
+const ASCII_SPRITES = {};
+for (const type of Object.keys(SPRITES)) {
+    if (SPRITES[type].ascii !== undefined) {
+        ASCII_SPRITES[SPRITES[type].ascii] = type;
+    }
+}
+
+/** The character of an ASCII map that marks an exit (on an empty tile). */
+const ASCII_EXIT = "E";
+
+/** The characters of an ASCII map that mark the start and its angle. */
+const ASCII_STARTS = {">": 0, "v": 90, "<": 180, "^": 270};
+
+/** The character that begins a comment line in the ASCII format. */
+const ASCII_COMMENT = ";";
+
+/** The per-level settings that a level may set, and their types. */
+const SETTINGS = {fov: "number", textured: "boolean", floor: "number",
+                  ceiling: "number", sky: "boolean", fog: "string",
+                  fogColor: "string", fogDistance: "number", light: "number"};
+
+/** The settings that name a flat. */
+const FLAT_SETTINGS = ["floor", "ceiling"];
+
+/**
+ * Parses and validates a level.
+ * @param {Object|string} theData - A level object, a JSON string or a level in
+ * the ASCII format.
+ * @param {boolean} thePlayable - Whether to also check that the level can be
+ * played through: that its doors have frames and keys and that its exits can
+ * be reached. The editor leaves these out to show levels still being built.
+ * @returns {Object} The level as {name, tilemap, floors, ceilings, heights,
+ * elevations, segments, start, exits, sprites, settings}, where start and each
+ * sprite have their angles in radians and the floor, ceiling, height and
+ * elevation layers are null if the level doesn't have them.
+ */
+export function parseLevel(theData, thePlayable = true) {
+    if (theData === null || theData === undefined) {
+        throw new Error("Level is null.");
+    } else if (typeof theData === "string") {
+        if (theData.trimStart().startsWith("{")) {
+            try {
+                theData = JSON.parse(theData);
+            } catch (theError) {
+                throw new Error(`Level is not valid JSON: ${theError.message}`);
+            }
+        } else {
+            theData = parseAscii(theData);
+        }
+    }
+    if (typeof theData !== "object" || Array.isArray(theData)) {
+        throw new Error("Level must be an object.");
+    }
+    const level = {name: "", tilemap: null, floors: null, ceilings: null,
+                   heights: null, elevations: null, segments: [],
+                   start: null, exits: [], sprites: [], settings: {}};
+    if (theData.name !== undefined) {
+        if (typeof theData.name !== "string") {
+            throw new Error("Level name must be a string.");
+        }
+        level.name = theData.name;
+    }
+    let marked = {start: null, exits: [], sprites: []};
+    if (theData.tilemap !== undefined && theData.map !== undefined) {
+        throw new Error("Level has both a 'tilemap' and a 'map'.");
+    } else if (theData.tilemap !== undefined) {
+        level.tilemap = checkTilemap(theData.tilemap);
+    } else if (theData.map !== undefined) {
+        marked = parseRows(theData.map);
+        level.tilemap = marked.tilemap;
+    } else {
+        throw new Error("Level has no 'tilemap' or 'map'.");
+    }
+    if (theData.floors !== undefined) {
+        level.floors = checkLayer(theData.floors, "floors", level.tilemap);
+    }
+    if (theData.ceilings !== undefined) {
+        level.ceilings = checkLayer(theData.ceilings, "ceilings",
+                                    level.tilemap);
+    }
+    if (theData.heights !== undefined) {
+        level.heights = checkHeights(theData.heights, "heights",
+                                     level.tilemap);
+    }
+    if (theData.elevations !== undefined) {
+        level.elevations = checkHeights(theData.elevations, "elevations",
+                                        level.tilemap);
+    }
+    if (theData.segments !== undefined) {
+        level.segments = checkSegments(theData.segments, level.tilemap);
+    }
+    if (theData.start !== undefined && marked.start !== null) {
+        throw new Error("Level has a 'start' and a start marker in its map.");
+    }
+    level.start = checkStart(theData.start !== undefined ? theData.start :
+                             marked.start, level.tilemap);
+    if (theData.exits !== undefined) {
+        if (!Array.isArray(theData.exits)) {
+            throw new Error("Level exits must be an array of [x, y] tiles.");
+        }
+        marked.exits = marked.exits.concat(theData.exits);
+    }
+    level.exits = checkExits(marked.exits, level.tilemap);
+    if (theData.sprites !== undefined) {
+        if (!Array.isArray(theData.sprites)) {
+            throw new Error("Level sprites must be an array.");
+        }
+        marked.sprites = marked.sprites.concat(theData.sprites);
+    }
+    level.sprites = checkSprites(marked.sprites, level.tilemap);
+    if (thePlayable) {
+        checkDoors(level);
+    }
+    if (theData.settings !== undefined) {
+        level.settings = checkSettings(theData.settings);
+    }
+    if (thePlayable) {
+        checkReachable(level);
+    }
+    return level;
+}
+
+/**
+ * Converts a level in the ASCII format to a level object. The header holds
+ * "key: value" lines (the name or settings) and the map follows it.
+ * @param {string} theText - The level text.
+ * @returns {Object} The level object with its map as rows of characters.
+ */
+function parseAscii(theText) {
+    const rv = {map: []};
+    const lines = theText.split(/\r?\n/);
+    let in_map = false;
+    let ended = false;
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const header = line.match(/^\s*(\w+)\s*:\s*(.*?)\s*$/);
+        if (line.startsWith(ASCII_COMMENT)) {
+            continue;
+        } else if (line.trim() === "") {
+            ended = in_map;
+        } else if (ended) {
+            throw new Error(`Unexpected text after the map on line ${i + 1}.`);
+        } else if (header !== null && !in_map) {
+            const [, key, value] = header;
+            if (key === "name") {
+                rv.name = value;
+            } else {
+                rv.settings = rv.settings || {};
+                rv.settings[key] = parseValue(value);
+            }
+        } else {
+            in_map = true;
+            rv.map.push(line);
+        }
+    }
+    if (rv.map.length === 0) {
+        throw new Error("Level has no map.");
+    }
+    return rv;
+}
+
+/**
+ * Converts a header value from the ASCII format to a boolean, number or string.
+ * @param {string} theValue - The text of the value.
+ * @returns The converted value.
+ */
+function parseValue(theValue) {
+    let rv = theValue;
+    if (theValue === "true" || theValue === "false") {
+        rv = theValue === "true";
+    } else if (theValue !== "" && !isNaN(Number(theValue))) {
+        rv = Number(theValue);
+    }
+    return rv;
+}
+
+/**
+ * Converts rows of map characters to a tilemap.
+ * @param {string[]} theRows - The rows of the map.
+ * @returns {Object} The tilemap, along with any start, exits and sprites
+ * marked in it.
+ */
+function parseRows(theRows) {
+    if (!Array.isArray(theRows) || theRows.length === 0) {
+        throw new Error("Level map must be a non-empty array of strings.");
+    }
+    const rv = {tilemap: [], start: null, exits: [], sprites: []};
+    for (let y = 0; y < theRows.length; y++) {
+        if (typeof theRows[y] !== "string") {
+            throw new Error(`Level map row ${y} is not a string.`);
+        }
+        const row = [];
+        for (let x = 0; x < theRows[y].length; x++) {
+            const c = theRows[y][x];
+            if (c in ASCII_TILES) {
+                row.push(ASCII_TILES[c]);
+            } else if (/[0-9]/.test(c)) {
+                row.push(Number(c));
+            } else if (c in ASCII_SPRITES) {
+                row.push(0);
+                rv.sprites.push({type: ASCII_SPRITES[c], x: x + 0.5, 
+                                 y: y + 0.5});
+            } else if (c === ASCII_EXIT) {
+                row.push(0);
+                rv.exits.push([x, y]);
+            } else if (c in ASCII_STARTS) {
+                if (rv.start !== null) {
+                    throw new Error(`Second start marker at row ${y}, ` +
+                                    `column ${x}.`);
+                }
+                row.push(0);
+                rv.start = {x: x + 0.5, y: y + 0.5, angle: ASCII_STARTS[c]};
+            } else {
+                throw new Error(`Unknown tile character '${c}' at row ${y}, ` +
+                                `column ${x}.`);
+            }
+        }
+        rv.tilemap.push(row);
+    }
+    checkTilemap(rv.tilemap);
+    return rv;
+}
+
+/**
+ * Checks that a tilemap is rectangular and only has known tile values.
+ * @param {Array} theTilemap - The tilemap to check.
+ * @returns {Array} The tilemap.
+ */
+function checkTilemap(theTilemap) {
+    if (!Array.isArray(theTilemap) || theTilemap.length === 0) {
+        throw new Error("Level tilemap must be a non-empty array of rows.");
+    }
+    for (let y = 0; y < theTilemap.length; y++) {
+        const row = theTilemap[y];
+        if (!Array.isArray(row)) {
+            throw new Error(`Level tilemap row ${y} is not an array.`);
+        } else if (row.length === 0) {
+            throw new Error(`Level tilemap row ${y} is empty.`);
+        } else if (row.length !== theTilemap[0].length) {
+            throw new Error(`Level tilemap row ${y} has ${row.length} tiles ` +
+                            `but row 0 has ${theTilemap[0].length}.`);
+        }
+        for (let x = 0; x < row.length; x++) {
+            if (!TILE_CODES.includes(row[x])) {
+                throw new Error(`Unknown tile code ${JSON.stringify(row[x])} ` +
+                                `at (${x}, ${y}).`);
+            }
+        }
+    }
+    return theTilemap;
+}
+
+/**
+ * Checks that a floor or ceiling layer matches the tilemap's size and only has
+ * known flat values.
+ * @param {Array} theLayer - The layer to check.
+ * @param {string} theName - The layer's name, for error messages.
+ * @param {Array} theTilemap - The level's (checked) tilemap.
+ * @returns {Array} The layer.
+ */
+function checkLayer(theLayer, theName, theTilemap) {
+    checkShape(theLayer, theName, theTilemap);
+    for (let y = 0; y < theLayer.length; y++) {
+        for (let x = 0; x < theLayer[y].length; x++) {
+            if (!FLAT_CODES.includes(theLayer[y][x])) {
+                throw new Error(`Unknown flat ` +
+                                `${JSON.stringify(theLayer[y][x])} in ` +
+                                `${theName} at (${x}, ${y}).`);
+            }
+        }
+    }
+    return theLayer;
+}
+
+/**
+ * Checks that a height or elevation layer matches the tilemap's size and only
+ * has numbers of tiles that aren't negative.
+ * @param {Array} theLayer - The layer to check.
+ * @param {string} theName - The layer's name, for error messages.
+ * @param {Array} theTilemap - The level's (checked) tilemap.
+ * @returns {Array} The layer.
+ */
+function checkHeights(theLayer, theName, theTilemap) {
+    checkShape(theLayer, theName, theTilemap);
+    for (let y = 0; y < theLayer.length; y++) {
+        for (let x = 0; x < theLayer[y].length; x++) {
+            const value = theLayer[y][x];
+            if (!Number.isFinite(value) || value < 0) {
+                throw new Error(`Invalid ${theName} value ` +
+                                `${JSON.stringify(value)} at (${x}, ${y}); ` +
+                                "it must be a number of tiles, 0 or more.");
+            }
+        }
+    }
+    return theLayer;
+}
+
+/**
+ * Checks that a per-tile layer has the same number of rows and columns as the
+ * tilemap.
+ * @param {Array} theLayer - The layer to check.
+ * @param {string} theName - The layer's name, for error messages.
+ * @param {Array} theTilemap - The level's (checked) tilemap.
+ */
+function checkShape(theLayer, theName, theTilemap) {
+    if (!Array.isArray(theLayer) || theLayer.length !== theTilemap.length) {
+        throw new Error(`Level ${theName} must have ${theTilemap.length} ` +
+                        "rows, like its tilemap.");
+    }
+    for (let y = 0; y < theLayer.length; y++) {
+        if (!Array.isArray(theLayer[y]) ||
+                theLayer[y].length !== theTilemap[0].length) {
+            throw new Error(`Level ${theName} row ${y} must have ` +
+                            `${theTilemap[0].length} values, like its ` +
+                            "tilemap.");
+        }
+    }
+}
+
+/**
+ * Checks that each line segment has two different ends inside the map (or on
+ * its edges), the value of an ordinary wall and an optional height.
+ * @param {Array} theSegments - The segments as {from, to, tile, height}, where
+ * from and to are [x, y] points.
+ * @param {Array} theTilemap - The level's (checked) tilemap.
+ * @returns {Object[]} Copies of the segments.
+ */
+function checkSegments(theSegments, theTilemap) {
+    if (!Array.isArray(theSegments)) {
+        throw new Error("Level segments must be an array.");
+    }
+    return theSegments.map((theSegment, theIndex) => {
+        if (theSegment === null || typeof theSegment !== "object" ||
+                !isPoint(theSegment.from) || !isPoint(theSegment.to)) {
+            throw new Error(`Segment ${theIndex} must have 'from' and 'to' ` +
+                            "[x, y] points.");
+        } else if (![theSegment.from, theSegment.to].every(([theX, theY]) => {
+            return theX >= 0 && theY >= 0 && theX <= theTilemap[0].length &&
+                   theY <= theTilemap.length;
+        })) {
+            throw new Error(`Segment ${theIndex} is outside the map.`);
+        } else if (theSegment.from[0] === theSegment.to[0] &&
+                theSegment.from[1] === theSegment.to[1]) {
+            throw new Error(`Segment ${theIndex} has no length.`);
+        } else if (!wallTiles().includes(theSegment.tile) ||
+                MATERIALS[theSegment.tile].kind !== "wall") {
+            throw new Error(`Segment ${theIndex} has tile ` +
+                            `${JSON.stringify(theSegment.tile)}, which ` +
+                            "isn't an ordinary wall.");
+        } else if (theSegment.height !== undefined &&
+                (!Number.isFinite(theSegment.height) ||
+                 theSegment.height <= 0)) {
+            throw new Error(`Segment ${theIndex} must have a height above 0.`);
+        }
+        const rv = {from: [...theSegment.from], to: [...theSegment.to],
+                    tile: theSegment.tile};
+        if (theSegment.height !== undefined) {
+            rv.height = theSegment.height;
+        }
+        return rv;
+    });
+}
+
+/**
+ * Checks that a start position is a number pair on an empty tile.
+ * @param {Object} theStart - The start as {x, y, angle} with angle in degrees.
+ * @param {Array} theTilemap - The level's (checked) tilemap.
+ * @returns {Object} The start as {x, y, angle} with the angle in radians.
+ */
+function checkStart(theStart, theTilemap) {
+    if (theStart === null || theStart === undefined) {
+        throw new Error("Level has no start position.");
+    } else if (typeof theStart !== "object" || typeof theStart.x !== "number" ||
+            typeof theStart.y !== "number") {
+        throw new Error("Level start must be an object with numeric x and y.");
+    }
+    const angle = theStart.angle === undefined ? 0 : theStart.angle;
+    if (typeof angle !== "number") {
+        throw new Error("Level start angle must be a number of degrees.");
+    } else if (!isInside(theStart.x, theStart.y, theTilemap)) {
+        throw new Error(`Start position (${theStart.x}, ${theStart.y}) is ` +
+                        "outside the map.");
+    } else if (isSolid(theStart.x, theStart.y, theTilemap)) {
+        throw new Error(`Start position (${theStart.x}, ${theStart.y}) is ` +
+                        "inside a wall.");
+    }
+    return {x: theStart.x, y: theStart.y, angle: angle * Math.PI / 180};
+}
+
+/**
+ * Checks that exits are distinct tiles that aren't walls.
+ * @param {Array} theExits - The exits as [x, y] tiles.
+ * @param {Array} theTilemap - The level's (checked) tilemap.
+ * @returns {number[][]} A copy of the exits.
+ */
+function checkExits(theExits, theTilemap) {
+    const rv = [];
+    for (const exit of theExits) {
+        if (!Array.isArray(exit) || exit.length !== 2 ||
+                !Number.isInteger(exit[0]) || !Number.isInteger(exit[1])) {
+            throw new Error(`Exit ${JSON.stringify(exit)} is not an [x, y] ` +
+                            "pair of integers.");
+        } else if (!isInside(exit[0], exit[1], theTilemap)) {
+            throw new Error(`Exit (${exit[0]}, ${exit[1]}) is outside the ` +
+                            "map.");
+        } else if (isSolid(exit[0], exit[1], theTilemap)) {
+            throw new Error(`Exit (${exit[0]}, ${exit[1]}) is inside a wall.`);
+        } else if (rv.some((theOther) => theOther[0] === exit[0] &&
+                                         theOther[1] === exit[1])) {
+            throw new Error(`Exit (${exit[0]}, ${exit[1]}) is listed twice.`);
+        }
+        rv.push([exit[0], exit[1]]);
+    }
+    return rv;
+}
+
+/**
+ * Checks that sprites are of known types and stand in empty tiles.
+ * @param {Array} theSprites - The sprites as {type, x, y, angle} with angles
+ * in degrees.
+ * @param {Array} theTilemap - The level's (checked) tilemap.
+ * @returns {Object[]} Copies of the sprites with their angles in radians.
+ */
+function checkSprites(theSprites, theTilemap) {
+    return theSprites.map((theSprite, theI) => {
+        if (theSprite === null || typeof theSprite !== "object") {
+            throw new Error(`Sprite ${theI} must be an object.`);
+        } else if (!(theSprite.type in SPRITES)) {
+            throw new Error(`Sprite ${theI} has unknown type ` +
+                            `${JSON.stringify(theSprite.type)}.`);
+        } else if (typeof theSprite.x !== "number" ||
+                typeof theSprite.y !== "number") {
+            throw new Error(`Sprite ${theI} must have numeric x and y.`);
+        }
+        const angle = theSprite.angle === undefined ? 0 : theSprite.angle;
+        if (typeof angle !== "number") {
+            throw new Error(`Sprite ${theI}'s angle must be a number of ` +
+                            "degrees.");
+        } else if (!isInside(theSprite.x, theSprite.y, theTilemap)) {
+            throw new Error(`Sprite ${theI} at (${theSprite.x}, ` +
+                            `${theSprite.y}) is outside the map.`);
+        } else if (isSolid(theSprite.x, theSprite.y, theTilemap)) {
+            throw new Error(`Sprite ${theI} at (${theSprite.x}, ` +
+                            `${theSprite.y}) is inside a wall.`);
+        }
+        return {type: theSprite.type, x: theSprite.x, y: theSprite.y,
+                angle: angle * Math.PI / 180};
+    });
+}
+
+/**
+ * Checks that every door stands between two walls, so that it has a frame to
+ * slide into, and that there's a key somewhere for every kind of locked door.
+ * @param {Object} theLevel - The level with checked tilemap and sprites.
+ */
+function checkDoors(theLevel) {
+    const map = theLevel.tilemap;
+    const isWall = (theX, theY) => {
+        return isInside(theX, theY, map) && map[theY][theX] !== 0 &&
+               MATERIALS[map[theY][theX]].kind === "wall";
+    };
+    for (let y = 0; y < map.length; y++) {
+        for (let x = 0; x < map[y].length; x++) {
+            const material = MATERIALS[map[y][x]];
+            if (material === null || material.kind !== "door") {
+                continue;
+            } else if (!(isWall(x - 1, y) && isWall(x + 1, y)) &&
+                    !(isWall(x, y - 1) && isWall(x, y + 1))) {
+                throw new Error(`Door at (${x}, ${y}) must be between two ` +
+                                "walls.");
+            } else if (material.key !== undefined &&
+                    !theLevel.sprites.some((theS) => {
+                        return theS.type === material.key;
+                    })) {
+                throw new Error(`Locked door at (${x}, ${y}) needs a ` +
+                                `'${material.key}' sprite somewhere in the ` +
+                                "level.");
+            }
+        }
+    }
+}
+
+/**
+ * Checks that the settings are all known and of the right type.
+ * @param {Object} theSettings - The level's settings.
+ * @returns {Object} A copy of the settings.
+ */
+function checkSettings(theSettings) {
+    if (theSettings === null || typeof theSettings !== "object" ||
+            Array.isArray(theSettings)) {
+        throw new Error("Level settings must be an object.");
+    }
+    const rv = {};
+    for (const key of Object.keys(theSettings)) {
+        if (!(key in SETTINGS)) {
+            throw new Error(`Unknown level setting '${key}'.`);
+        } else if (typeof theSettings[key] !== SETTINGS[key]) {
+            throw new Error(`Level setting '${key}' must be a ` +
+                            `${SETTINGS[key]}.`);
+        } else if (FLAT_SETTINGS.includes(key) &&
+                !FLAT_CODES.includes(theSettings[key])) {
+            throw new Error(`Level setting '${key}' names unknown flat ` +
+                            `${theSettings[key]}.`);
+        } else if (key === "fog" && !FOG_MODES.includes(theSettings[key])) {
+            throw new Error(`Level setting 'fog' must be one of ` +
+                            `${FOG_MODES.join(", ")}.`);
+        } else if (key === "fogColor" &&
+                !/^#[0-9a-fA-F]{6}$/.test(theSettings[key])) {
+            throw new Error("Level setting 'fogColor' must be a color in " +
+                            "the form #rrggbb.");
+        } else if (key === "fogDistance" && !(theSettings[key] > 0)) {
+            throw new Error("Level setting 'fogDistance' must be positive.");
+        } else if (key === "light" &&
+                !(theSettings[key] >= 0 && theSettings[key] <= 1)) {
+            throw new Error("Level setting 'light' must be from 0 to 1.");
+        }
+        rv[key] = theSettings[key];
+    }
+    return rv;
+}
+
+/**
+ * Checks that every exit can be walked to from the start, counting doors and
+ * secret walls as open, ledges higher than STEP_HEIGHT as walls and segments
+ * as blocking the steps they cross. A level without exits must have a way off
+ * the edge of the map instead.
+ * @param {Object} theLevel - The level with checked fields.
+ */
+function checkReachable(theLevel) {
+    const map = theLevel.tilemap;
+    const sx = Math.floor(theLevel.start.x);
+    const sy = Math.floor(theLevel.start.y);
+    const reached = map.map((theRow) => new Array(theRow.length).fill(false));
+    const queue = [[sx, sy]];
+    reached[sy][sx] = true;
+    let off_map = false;
+    while (queue.length > 0) {
+        const [x, y] = queue.shift();
+        for (const [dx, dy] of [[1, 0], [0, 1], [-1, 0], [0, -1]]) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (!isInside(nx, ny, map)) {
+                off_map = true;
+            } else if (!reached[ny][nx] && isPassable(nx, ny, map) &&
+                    elevation(nx, ny, theLevel) -
+                    elevation(x, y, theLevel) <= STEP_HEIGHT &&
+                    !isWalledOff(x, y, nx, ny, theLevel)) {
+                reached[ny][nx] = true;
+                queue.push([nx, ny]);
+            }
+        }
+    }
+    for (const [x, y] of theLevel.exits) {
+        if (!reached[y][x]) {
+            throw new Error(`Exit (${x}, ${y}) can't be reached from the ` +
+                            "start.");
+        }
+    }
+    if (theLevel.exits.length === 0 && !off_map) {
+        throw new Error("Level has no exits and no way off the map.");
+    }
+}
+
+/**
+ * @param {*} thePoint - A value from a level.
+ * @returns {boolean} Whether it's an [x, y] pair of finite numbers.
+ */
+function isPoint(thePoint) {
+    return Array.isArray(thePoint) && thePoint.length === 2 &&
+           thePoint.every(Number.isFinite);
+}
+
+/**
+ * @param {number} theX - An x-coordinate.
+ * @param {number} theY - A y-coordinate.
+ * @param {Array} theTilemap - A rectangular tilemap.
+ * @returns {boolean} Whether the coordinate is inside the tilemap.
+ */
+function isInside(theX, theY, theTilemap) {
+    return theX >= 0 && theY >= 0 && theY < theTilemap.length &&
+           theX < theTilemap[0].length;
+}
+
+/**
+ * @param {number} theX - The x-coordinate of a tile.
+ * @param {number} theY - The y-coordinate of the tile.
+ * @param {number} theNx - The x-coordinate of a tile next to it.
+ * @param {number} theNy - The y-coordinate of the tile next to it.
+ * @param {Object} theLevel - The level with checked fields.
+ * @returns {boolean} Whether a segment that blocks movement crosses the line
+ * between the middles of the two tiles.
+ */
+function isWalledOff(theX, theY, theNx, theNy, theLevel) {
+    return theLevel.segments.some((theSegment) => {
+        return tileBlocks(theSegment.tile, "movement") &&
+               intersect(theX + 0.5, theY + 0.5, theNx + 0.5, theNy + 0.5,
+                         ...theSegment.from, ...theSegment.to) !== null;
+    });
+}
+
+/**
+ * @param {number} theX - An x-coordinate inside the tilemap.
+ * @param {number} theY - A y-coordinate inside the tilemap.
+ * @param {Object} theLevel - The level with checked fields.
+ * @returns {number} The elevation of the tile's floor, in tiles.
+ */
+function elevation(theX, theY, theLevel) {
+    return theLevel.elevations === null ? 0 : theLevel.elevations[theY][theX];
+}
+
+/**
+ * @param {number} theX - An x-coordinate inside the tilemap.
+ * @param {number} theY - A y-coordinate inside the tilemap.
+ * @param {Array} theTilemap - A rectangular tilemap.
+ * @returns {boolean} Whether the tile can be walked through once any door or
+ * secret wall on it has been opened.
+ */
+function isPassable(theX, theY, theTilemap) {
+    const tile = theTilemap[theY][theX];
+    return !tileBlocks(tile, "movement") || MATERIALS[tile].kind !== "wall";
+}
+
+/**
+ * @param {number} theX - An x-coordinate inside the tilemap.
+ * @param {number} theY - A y-coordinate inside the tilemap.
+ * @param {Array} theTilemap - A rectangular tilemap.
+ * @returns {boolean} Whether the tile at the coordinate is a wall that blocks
+ * movement.
+ */
+function isSolid(theX, theY, theTilemap) {
+    return tileBlocks(theTilemap[Math.floor(theY)][Math.floor(theX)],
+                      "movement");
+}
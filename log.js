@@ -0,0 +1,15 @@
+/**
+ * @file Contains the one place that problems the game gets past on its own
+ * are reported, like a save that couldn't be written or a texture that
+ * didn't load. They're kept out of the player's way, since the game carries
+ * on regardless, but written where someone looking into them can find them.
+ * @author Marcus Bartlett
+ */
+
+/**
+ * Reports a problem that the game has worked around.
+ * @param {string} theMessage - What went wrong, and what was done instead.
+ */
+export function warn(theMessage) {
+    console.warn(theMessage);
+}
@@ -5,21 +5,28 @@
  */
 
 import { Game } from "./game.js";
+import { RemoteGame } from "./remote.js";
+import { Camera } from "./camera.js";
+import { Ray } from "./ray.js";
+import { Editor, PALETTE, LEVEL_MIN, LEVEL_MAX } from "./editor.js";
+import { loadTextures } from "./materials.js";
+import { ACTIONS, Bindings, keyName } from "./input.js";
+import { GamepadInput, TouchControls } from "./analog.js";
+import { saveState, loadState, clearState, encodeState,
+         decodeState } from "./state.js";
+import { Recording } from "./record.js";
+import { warn } from "./log.js";
+import { SCREEN_MIN, SCREEN_MAX, SCREEN_WIDTH, SCREEN_HEIGHT, FOV_MIN,
+         FOV_MAX } from "./screen.js";
 
 /** The ID of the canvas element. */
 export const CANVAS_ID = "Canvas";
 
-/** The smallest allowed screen height or width in pixels. */
-export const SCREEN_MIN = 240;
+/** The ID of the element holding the canvas. */
+export const VIEW_ID = "View";
 
-/** The largest allowed screen height or width in pixels. */
-export const SCREEN_MAX = 3840;
-
-/** The canvas's default width in pixels */
-export const SCREEN_WIDTH = 800;
-
-/** The canvas's default height in pixels. */
-export const SCREEN_HEIGHT = 600;
+/** The ID of the element over the canvas that shows the touch joysticks. */
+export const TOUCH_ID = "Touch";
 
 /** The ID of the width slider input element. */
 export const WIDTH_ID = "Width";
@@ -30,28 +37,678 @@ export const HEIGHT_ID = "Height";
 /** The FOV slider input element's ID. */
 export const FOV_ID = "FOV";
 
-/** The minimum allowed FOV in degrees. */
-export const FOV_MIN = 60;
-
-/** The maximum allowed FOV in degrees. */
-export const FOV_MAX = 90;
-
 /** The ID of the checkbox for whether the game is textured. */
 export const TEXTURED_ID = "Textured";
 
-/** The path to the wall texture. */
-const WALL_TEXTURE = "brick1.jpg";
+/** The ID of the select element for the render scale. */
+export const SCALE_ID = "Scale";
+
+/** The ID of the checkbox for whether clicking the view turns on mouse look. */
+export const MOUSE_LOOK_ID = "MouseLook";
+
+/** The ID of the mouse sensitivity input element. */
+export const SENSITIVITY_ID = "Sensitivity";
+
+/** The ID of the checkbox for whether mouse look is inverted. */
+export const INVERT_ID = "Invert";
+
+/** The ID of the mouse smoothing input element. */
+export const SMOOTHING_ID = "Smoothing";
+
+/** The ID of the element that holds the buttons for changing the controls. */
+export const BINDINGS_ID = "Bindings";
+
+/** The ID of the button that throws away the saved game and starts over. */
+export const NEW_GAME_ID = "NewGame";
+
+/** The ID of the button that downloads the last recording. */
+export const SAVE_RECORDING_ID = "SaveRecording";
+
+/** The ID of the file input that replays a saved recording. */
+export const LOAD_RECORDING_ID = "LoadRecording";
+
+/** The ID of the element that holds the game's settings inputs. */
+export const PLAY_ID = "Play";
+
+/** The ID of the paragraph that explains how to play. */
+export const HELP_ID = "Help";
+
+/** The ID of the element that holds the level editor's inputs. */
+export const EDIT_ID = "Edit";
+
+/** The ID of the paragraph that explains how to use the level editor. */
+export const EDIT_HELP_ID = "EditHelp";
+
+/** The ID of the canvas the level editor draws the level's map on. */
+export const EDIT_MAP_ID = "EditMap";
+
+/** The ID of the element that holds the level editor's palette. */
+export const PALETTE_ID = "Palette";
+
+/** The ID of the button that undoes the last edit. */
+export const UNDO_ID = "Undo";
+
+/** The ID of the button that redoes the last edit undone. */
+export const REDO_ID = "Redo";
+
+/** The ID of the input for the level's name. */
+export const LEVEL_NAME_ID = "LevelName";
+
+/** The ID of the input for the width of a new level. */
+export const LEVEL_WIDTH_ID = "LevelWidth";
+
+/** The ID of the input for the height of a new level. */
+export const LEVEL_HEIGHT_ID = "LevelHeight";
+
+/** The ID of the button that starts a new level. */
+export const NEW_LEVEL_ID = "NewLevel";
+
+/** The ID of the file input that loads a level into the editor. */
+export const IMPORT_LEVEL_ID = "ImportLevel";
+
+/** The ID of the button that downloads the level being edited. */
+export const EXPORT_LEVEL_ID = "ExportLevel";
+
+/** The ID of the element that says whether the level can be played yet. */
+export const LEVEL_STATUS_ID = "LevelStatus";
+
+/** The name of the file recordings are downloaded as. */
+const RECORDING_FILE = "recording.json";
+
+/** The name of the file levels are downloaded as from the editor. */
+const LEVEL_FILE = "level.json";
+
+/** The key that stops waiting for a key to bind without binding it. */
+const CANCEL_KEY = "Escape";
+
+/** The URL query parameter that holds a shared maze seed. */
+const SEED_PARAM = "seed";
+
+/** The URL query parameter that names a level file to play (repeatable). */
+const LEVEL_PARAM = "level";
+
+/**
+ * The URL query parameter that runs the game in a Web Worker, where the
+ * browser supports it.
+ */
+const WORKER_PARAM = "worker";
+
+/**
+ * The URL query parameter that opens the level editor instead of the game,
+ * with the first level file named in the address loaded into it.
+ */
+const EDIT_PARAM = "edit";
 
 /** Drives the program. */
 function main() {
     setUpCanvas();
     setUpFOVSlider();
     setUpDimensionSliders();
-    const wall = new Image();
-    wall.src = WALL_TEXTURE;
-    wall.addEventListener("load", (theEvent) => {
-        let g = new Game(theEvent.target);
-        g.start();
+    const params = new URLSearchParams(window.location.search);
+    if (params.has(EDIT_PARAM)) {
+        editLevel(params.getAll(LEVEL_PARAM));
+    } else {
+        playGame(params);
+    }
+}
+
+/**
+ * Loads the levels and the saved game, if any, then starts the game.
+ * @param {URLSearchParams} theParams - The address's query parameters.
+ */
+function playGame(theParams) {
+    const paths = theParams.getAll(LEVEL_PARAM);
+    const asked = theParams.has(SEED_PARAM) ? theParams.get(SEED_PARAM) :
+                                              undefined;
+    const saved = findState(paths, asked);
+    const seed = saved !== null ? saved.seed : asked;
+    const levels = Promise.all(paths.map(fetchLevel));
+    const worker = theParams.has(WORKER_PARAM);
+    loadTextures().then((theTextures) => {
+        return levels.then((theLevels) => {
+            return createGame(theTextures, seed, theLevels, worker);
+        }).catch((theError) => {
+            // Tell the level designer what's wrong, then play generated mazes.
+            window.alert(theError.message);
+            return createGame(theTextures, seed, [], worker);
+        });
+    }).then((theGame) => {
+        const bindings = Bindings.load();
+        theGame.start(showSettings, (theState) => {
+            saveState(theState, paths);
+            // Keep the address up to date so that it can be shared.
+            window.history.replaceState(null, "",
+                                        `#${encodeState(theState)}`);
+        }, setUpRecordings(theGame));
+        if (saved !== null) {
+            restoreGame(theGame, saved);
+        }
+        theGame.changeSetting("bindings", bindings.keys);
+        setUpBindings(theGame, bindings);
+        setUpInput(theGame);
+        setUpMouseLook(theGame);
+        setUpNewGame();
+        new GamepadInput(theGame).start();
+        new TouchControls(theGame, document.querySelector(`#${VIEW_ID}`),
+                          document.querySelector(`#${TOUCH_ID}`)).start();
+    });
+}
+
+/**
+ * Creates the game, in a Web Worker if asked to and the browser supports it.
+ * @param {Object} theTextures - The loaded textures.
+ * @param {number|string} theSeed - The seed of the generated mazes.
+ * @param {Array} theLevels - Levels to play before the generated mazes.
+ * @param {boolean} theWorker - Whether to run the game in a worker.
+ * @returns {Game|RemoteGame} The game.
+ */
+function createGame(theTextures, theSeed, theLevels, theWorker) {
+    const canvas = document.querySelector(`#${CANVAS_ID}`);
+    let rv = null;
+    if (theWorker && RemoteGame.supported(canvas)) {
+        rv = new RemoteGame(canvas, theTextures, theSeed, theLevels);
+    } else {
+        if (theWorker) {
+            warn("This browser can't draw from a worker; " +
+                 "running the game on the page instead.");
+        }
+        rv = new Game(canvas, theTextures, theSeed, theLevels);
+    }
+    return rv;
+}
+
+/**
+ * Finds the state to pick the game up from: the one in the URL's hash if
+ * there is one, or else the one saved in the browser.
+ * @param {string[]} theLevels - The paths of the level files to play.
+ * @param {string} theSeed - The seed asked for, or undefined if none was.
+ * @returns {Object} The state (see Game.state), or null if there isn't one.
+ */
+function findState(theLevels, theSeed) {
+    let rv = null;
+    if (window.location.hash.length > 1) {
+        try {
+            rv = decodeState(window.location.hash);
+        } catch (theError) {
+            warn("Couldn't read the game in the address " +
+                 `(${theError.message}).`);
+        }
+    }
+    if (rv === null) {
+        rv = loadState(theLevels, theSeed);
+    }
+    return rv;
+}
+
+/**
+ * Picks the game up again from a saved state and, once it has, shows the
+ * state's screen size in the inputs for it.
+ * @param {Game|RemoteGame} theGame - The game.
+ * @param {Object} theState - The state (see Game.state).
+ */
+function restoreGame(theGame, theState) {
+    // A RemoteGame only hears from its worker later whether it worked.
+    new Promise((theResolve) => {
+        theResolve(theGame.restore(theState));
+    }).then(() => {
+        for (const [id, dim] of [[WIDTH_ID, "width"], [HEIGHT_ID, "height"]]) {
+            document.querySelector(`#${id}`).value = theState[dim];
+            document.querySelector(`#${CANVAS_ID}`).style[dim] =
+                    `${theState[dim]}px`;
+        }
+    }).catch((theError) => {
+        warn(`Couldn't restore the saved game (${theError.message}).`);
+    });
+}
+
+/**
+ * Sets up the button that downloads the last recording and the file input
+ * that replays one.
+ * @param {Game|RemoteGame} theGame - The game.
+ * @returns {Function} Called with each recording the game finishes.
+ */
+function setUpRecordings(theGame) {
+    const save = document.querySelector(`#${SAVE_RECORDING_ID}`);
+    const load = document.querySelector(`#${LOAD_RECORDING_ID}`);
+    let last = null;
+    save.addEventListener("click", (theEvent) => {
+        theEvent.target.blur();
+        download(JSON.stringify(last), RECORDING_FILE);
+    });
+    load.addEventListener("change", () => {
+        const file = load.files[0];
+        // Let go of the input so keys go to the game again.
+        load.blur();
+        load.value = "";
+        if (file !== undefined) {
+            file.text().then((theText) => {
+                theGame.replay(Recording.fromJSON(JSON.parse(theText)));
+            }).catch((theError) => {
+                window.alert(`Couldn't replay '${file.name}' ` +
+                             `(${theError.message}).`);
+            });
+        }
+    });
+    return (theRecording) => {
+        last = theRecording;
+        save.disabled = false;
+    };
+}
+
+/**
+ * Downloads JSON text as a file.
+ * @param {string} theText - The file's contents.
+ * @param {string} theName - The file's name.
+ */
+function download(theText, theName) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([theText],
+                                             {type: "application/json"}));
+    link.download = theName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Sets up the button that throws away the saved game and starts over.
+ */
+function setUpNewGame() {
+    document.querySelector(`#${NEW_GAME_ID}`).
+            addEventListener("click", () => {
+        clearState();
+        // Reload without the hash, which would restore the game again.
+        window.location.replace(window.location.pathname +
+                                window.location.search);
+    });
+}
+
+/**
+ * Shows the level editor in place of the game's inputs, with a level file
+ * loaded into it if one is named.
+ * @param {string[]} thePaths - The paths of the level files named in the
+ * address, of which the first is edited.
+ */
+function editLevel(thePaths) {
+    for (const id of [PLAY_ID, HELP_ID]) {
+        document.querySelector(`#${id}`).hidden = true;
+    }
+    for (const id of [EDIT_ID, EDIT_HELP_ID, EDIT_MAP_ID]) {
+        document.querySelector(`#${id}`).hidden = false;
+    }
+    const editor = new Editor();
+    const level = thePaths.length > 0 ? fetchLevel(thePaths[0]) :
+                                        Promise.resolve(null);
+    loadTextures().then((theTextures) => {
+        return level.then((theText) => {
+            if (theText !== null) {
+                editor.load(theText);
+            }
+        }).catch((theError) => {
+            // Tell the level designer what's wrong, then start a new level.
+            window.alert(theError.message);
+        }).then(() => {
+            setUpEditor(editor, theTextures);
+        });
+    });
+}
+
+/**
+ * Sets up the level editor: the map that's painted on with the palette's
+ * tool, the view from the start that's redrawn after every edit, and the
+ * inputs that undo edits and name, start, import and export levels.
+ * @param {Editor} theEditor - The editor.
+ * @param {Object} theTextures - The loaded textures.
+ */
+function setUpEditor(theEditor, theTextures) {
+    const map = document.querySelector(`#${EDIT_MAP_ID}`);
+    const undo = document.querySelector(`#${UNDO_ID}`);
+    const redo = document.querySelector(`#${REDO_ID}`);
+    const name = document.querySelector(`#${LEVEL_NAME_ID}`);
+    const width = document.querySelector(`#${LEVEL_WIDTH_ID}`);
+    const height = document.querySelector(`#${LEVEL_HEIGHT_ID}`);
+    const importer = document.querySelector(`#${IMPORT_LEVEL_ID}`);
+    const status = document.querySelector(`#${LEVEL_STATUS_ID}`);
+    const canvas = document.querySelector(`#${CANVAS_ID}`);
+    const world = theEditor.world;
+    const cam = new Camera(new Ray(world.start.x, world.start.y,
+                                   world.start.angle, world, world.height),
+                           theTextures, canvas);
+    // The whole level is on the map beside the view already.
+    cam.handleAction("map", true, false);
+    // The map is square and as tall as the view.
+    map.width = SCREEN_HEIGHT;
+    map.height = SCREEN_HEIGHT;
+    map.style.width = `${SCREEN_HEIGHT}px`;
+    map.style.height = `${SCREEN_HEIGHT}px`;
+    for (const [input, dim] of [[width, "width"], [height, "height"]]) {
+        input.min = LEVEL_MIN;
+        input.max = LEVEL_MAX;
+        input.value = theEditor[dim];
+    }
+    // Fit the level in the map, in the middle.
+    const layout = () => {
+        const scale = Math.min(map.width / theEditor.width,
+                               map.height / theEditor.height);
+        return {scale: scale,
+                left: (map.width - scale * theEditor.width) / 2,
+                top: (map.height - scale * theEditor.height) / 2};
+    };
+    const show = () => {
+        const w = theEditor.world;
+        const settings = w.settings;
+        cam.place(w, w.start.x, w.start.y, w.start.angle);
+        cam.fov = settings.fov !== undefined ? settings.fov :
+                  Math.floor((FOV_MIN + FOV_MAX) / 2);
+        cam.textured = settings.textured !== false;
+        cam.updateCanvas();
+        const ctx = map.getContext("2d");
+        const {scale, left, top} = layout();
+        ctx.clearRect(0, 0, map.width, map.height);
+        ctx.save();
+        ctx.translate(left, top);
+        theEditor.draw(ctx, scale);
+        ctx.restore();
+        undo.disabled = !theEditor.canUndo;
+        redo.disabled = !theEditor.canRedo;
+        name.value = theEditor.name;
+        const problem = theEditor.problem;
+        status.textContent = problem === null ? "Ready to play." :
+                             `Not playable yet: ${problem}`;
+    };
+    let tool = PALETTE[1].tool;
+    const buttons = PALETTE.map((theEntry) => {
+        const button = document.createElement("button");
+        const swatch = document.createElement("span");
+        button.type = "button";
+        swatch.className = "swatch";
+        swatch.style.background = theEntry.color;
+        button.append(swatch, theEntry.label);
+        button.addEventListener("click", () => {
+            button.blur();
+            tool = theEntry.tool;
+            for (const other of buttons) {
+                other.classList.toggle("selected", other === button);
+            }
+        });
+        document.querySelector(`#${PALETTE_ID}`).append(button);
+        return button;
+    });
+    buttons[1].classList.add("selected");
+    // The tile last painted by the stroke, so that dragging within a tile
+    // doesn't paint it again, and whether the stroke erases.
+    let last = null;
+    let erase = false;
+    const paint = (theEvent) => {
+        const {scale, left, top} = layout();
+        const x = Math.floor((theEvent.offsetX - left) / scale);
+        const y = Math.floor((theEvent.offsetY - top) / scale);
+        if (last === null || last[0] !== x || last[1] !== y) {
+            last = [x, y];
+            if (theEditor.apply(x, y, erase ? 0 : tool)) {
+                show();
+            }
+        }
+    };
+    map.addEventListener("pointerdown", (theEvent) => {
+        map.setPointerCapture(theEvent.pointerId);
+        theEditor.beginStroke();
+        last = null;
+        erase = theEvent.button === 2;
+        paint(theEvent);
+    });
+    map.addEventListener("pointermove", (theEvent) => {
+        if (map.hasPointerCapture(theEvent.pointerId)) {
+            paint(theEvent);
+        }
+    });
+    for (const type of ["pointerup", "pointercancel"]) {
+        map.addEventListener(type, () => {
+            theEditor.endStroke();
+        });
+    }
+    // Right-dragging erases, so don't show a menu.
+    map.addEventListener("contextmenu", (theEvent) => {
+        theEvent.preventDefault();
+    });
+    undo.addEventListener("click", () => {
+        undo.blur();
+        theEditor.undo();
+        show();
+    });
+    redo.addEventListener("click", () => {
+        redo.blur();
+        theEditor.redo();
+        show();
+    });
+    document.addEventListener("keydown", (theEvent) => {
+        const key = theEvent.key.toLowerCase();
+        // Leave undoing typing in the name to the input.
+        if ((theEvent.ctrlKey || theEvent.metaKey) &&
+                theEvent.target !== name && (key === "z" || key === "y")) {
+            theEvent.preventDefault();
+            const redoing = key === "y" || theEvent.shiftKey;
+            if (redoing ? theEditor.redo() : theEditor.undo()) {
+                show();
+            }
+        }
+    });
+    name.addEventListener("change", () => {
+        theEditor.name = name.value;
+        show();
+    });
+    document.querySelector(`#${NEW_LEVEL_ID}`).
+            addEventListener("click", (theEvent) => {
+        theEvent.target.blur();
+        theEditor.clear(Math.round(readNumber(width)),
+                        Math.round(readNumber(height)));
+        show();
+    });
+    importer.addEventListener("change", () => {
+        const file = importer.files[0];
+        importer.blur();
+        importer.value = "";
+        if (file !== undefined) {
+            file.text().then((theText) => {
+                theEditor.load(theText);
+                width.value = theEditor.width;
+                height.value = theEditor.height;
+                show();
+            }).catch((theError) => {
+                window.alert(`Couldn't load '${file.name}' ` +
+                             `(${theError.message}).`);
+            });
+        }
+    });
+    document.querySelector(`#${EXPORT_LEVEL_ID}`).
+            addEventListener("click", (theEvent) => {
+        theEvent.target.blur();
+        download(theEditor.toText(), LEVEL_FILE);
+    });
+    show();
+}
+
+/**
+ * Passes the keyboard and the settings inputs on to the game.
+ * @param {Game|RemoteGame} theGame - The game.
+ */
+function setUpInput(theGame) {
+    document.addEventListener("keydown", (theEvent) => {
+        theGame.handleInput(theEvent, true);
+    });
+    document.addEventListener("keyup", (theEvent) => {
+        theGame.handleInput(theEvent, false);
+    });
+    document.querySelector(`#${FOV_ID}`).
+            addEventListener("change", (theEvent) => {
+        theGame.changeSetting("fov", Number(theEvent.target.value));
+    });
+    for (const [id, dim] of [[WIDTH_ID, "width"], [HEIGHT_ID, "height"]]) {
+        document.querySelector(`#${id}`).
+                addEventListener("change", (theEvent) => {
+            while (!theEvent.target.checkValidity()) {
+                theEvent.target.stepDown();
+            }
+            const num = Math.min(SCREEN_MAX, Math.max(SCREEN_MIN,
+                                 Number(theEvent.target.value)));
+            // The game sizes the canvas's pixels; this sizes it on the page.
+            document.querySelector(`#${CANVAS_ID}`).style[dim] = `${num}px`;
+            theGame.changeSetting(dim, num);
+        });
+    }
+    document.querySelector(`#${TEXTURED_ID}`).
+            addEventListener("change", (theEvent) => {
+        theGame.changeSetting("textured", theEvent.target.checked);
+    });
+    document.querySelector(`#${SCALE_ID}`).
+            addEventListener("change", (theEvent) => {
+        theGame.changeSetting("scale", Number(theEvent.target.value));
+    });
+}
+
+/**
+ * Sets up mouse look, which locks the pointer to the canvas when it's clicked
+ * (if turned on) and passes the mouse's movement on to the game.
+ * @param {Game|RemoteGame} theGame - The game.
+ */
+function setUpMouseLook(theGame) {
+    const canvas = document.querySelector(`#${CANVAS_ID}`);
+    const enabled = document.querySelector(`#${MOUSE_LOOK_ID}`);
+    const sensitivity = document.querySelector(`#${SENSITIVITY_ID}`);
+    const invert = document.querySelector(`#${INVERT_ID}`);
+    const smoothing = document.querySelector(`#${SMOOTHING_ID}`);
+    canvas.addEventListener("click", () => {
+        if (enabled.checked && document.pointerLockElement !== canvas) {
+            canvas.requestPointerLock();
+        }
+    });
+    enabled.addEventListener("change", () => {
+        if (!enabled.checked && document.pointerLockElement === canvas) {
+            document.exitPointerLock();
+        }
+    });
+    document.addEventListener("mousemove", (theEvent) => {
+        if (document.pointerLockElement === canvas) {
+            theGame.look(theEvent.movementX);
+        }
+    });
+    const changed = () => {
+        theGame.changeSetting("mouse", {sensitivity: readNumber(sensitivity),
+                                        invert: invert.checked,
+                                        smoothing: readNumber(smoothing)});
+    };
+    for (const input of [sensitivity, invert, smoothing]) {
+        input.addEventListener("change", changed);
+    }
+    // The browser may have kept values from before the page was reloaded.
+    changed();
+}
+
+/**
+ * Reads a number input, putting its value back within its limits.
+ * @param {HTMLInputElement} theInput - The input, with min, max and a default
+ * value.
+ * @returns {number} The input's value.
+ */
+function readNumber(theInput) {
+    let rv = Number(theInput.value);
+    if (theInput.value === "" || isNaN(rv)) {
+        rv = Number(theInput.defaultValue);
+    }
+    rv = Math.min(Number(theInput.max), Math.max(Number(theInput.min), rv));
+    theInput.value = rv;
+    return rv;
+}
+
+/**
+ * Sets up a button for each action that binds it to the next key pressed,
+ * and one that goes back to the default controls. Changes are saved and passed
+ * on to the game. It must be set up before the game's keyboard input so that
+ * the key being bound doesn't reach the game.
+ * @param {Game|RemoteGame} theGame - The game.
+ * @param {Bindings} theBindings - The current bindings.
+ */
+function setUpBindings(theGame, theBindings) {
+    const container = document.querySelector(`#${BINDINGS_ID}`);
+    const buttons = {};
+    // The action waiting for a key, if any.
+    let waiting = null;
+    const update = () => {
+        for (const action of Object.keys(ACTIONS)) {
+            const keys = theBindings.keysFor(action).map(keyName);
+            buttons[action].textContent = `${ACTIONS[action].label}: ` +
+                    (action === waiting ? "press a key" :
+                     keys.length > 0 ? keys.join(", ") : "none");
+        }
+    };
+    const changed = () => {
+        theBindings.save();
+        theGame.changeSetting("bindings", theBindings.keys);
+        update();
+    };
+    for (const action of Object.keys(ACTIONS)) {
+        buttons[action] = document.createElement("button");
+        buttons[action].type = "button";
+        buttons[action].addEventListener("click", (theEvent) => {
+            // Let go of the button so keys go to the game again afterwards.
+            theEvent.target.blur();
+            waiting = action;
+            update();
+        });
+        container.append(buttons[action]);
+    }
+    const reset = document.createElement("button");
+    reset.type = "button";
+    reset.textContent = "Reset Controls";
+    reset.addEventListener("click", (theEvent) => {
+        theEvent.target.blur();
+        waiting = null;
+        theBindings.reset();
+        changed();
+    });
+    container.append(reset);
+    document.addEventListener("keydown", (theEvent) => {
+        if (waiting !== null) {
+            theEvent.preventDefault();
+            theEvent.stopImmediatePropagation();
+            const action = waiting;
+            waiting = null;
+            if (theEvent.key === CANCEL_KEY) {
+                update();
+            } else {
+                theBindings.bind(action, theEvent.key);
+                changed();
+            }
+        }
+    });
+    update();
+}
+
+/**
+ * Shows a level's settings in the inputs for them.
+ * @param {Object} theSettings - The level's settings (see level.js).
+ */
+function showSettings(theSettings) {
+    if (theSettings.fov !== undefined) {
+        document.querySelector(`#${FOV_ID}`).value = theSettings.fov;
+    }
+    if (theSettings.textured !== undefined) {
+        document.querySelector(`#${TEXTURED_ID}`).checked = 
+                theSettings.textured;
+    }
+}
+
+/**
+ * Fetches the text of a level file.
+ * @param {string} thePath - The level file's path.
+ * @returns {Promise<string>} The level's text.
+ */
+function fetchLevel(thePath) {
+    return fetch(thePath).then((theResponse) => {
+        if (!theResponse.ok) {
+            throw new Error(`Couldn't load level '${thePath}' ` +
+                            `(${theResponse.status}).`);
+        }
+        return theResponse.text();
     });
 }
 
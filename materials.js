@@ -0,0 +1,285 @@
+/**
+ * @file Contains the registries of wall materials, floor and ceiling flats and
+ * sprites, and the functions that load their textures.
+ * @author Marcus Bartlett
+ */
+
+import { warn } from "./log.js";
+
+/**
+ * The wall materials, indexed by tile value (0 is empty, so it has none). Each
+ * material has a name, a kind, a fallback color used when drawing solid colors
+ * or when its texture can't be loaded, and a texture. The texture is either
+ * one path used for every face or an array of four paths, one per face in the
+ * order used by Ray.seekCollision. The kind is "wall", "door" (which slides
+ * open when used, and needs the sprite type named by key if it has one) or
+ * "push" (a secret wall that slides away when used). A material may also have
+ * the character that stands for it in ASCII levels, and what it blocks:
+ * "sight", "movement" or, by default, "both". Materials that don't block
+ * sight have textures with transparent parts, which the walls behind show
+ * through.
+ */
+export const MATERIALS = [
+    null,
+    {name: "brick", kind: "wall", color: "#aa5533", texture: "brick1.jpg",
+     ascii: "#"},
+    {name: "stone", kind: "wall", color: "#888890", texture: "stone1.png"},
+    {name: "wood", kind: "wall", color: "#96603a", texture: "wood1.png"},
+    {name: "metal", kind: "wall", color: "#8090a0",
+     texture: ["metal1.png", "metal2.png", "metal1.png", "metal2.png"]},
+    {name: "door", kind: "door", color: "#87582f", texture: "door1.png",
+     ascii: "D"},
+    {name: "locked door", kind: "door", key: "key", color: "#c8a030",
+     texture: "door2.png", ascii: "L"},
+    {name: "secret wall", kind: "push", color: "#aa5533",
+     texture: "brick1.jpg", ascii: "P"},
+    {name: "bars", kind: "wall", blocks: "movement", color: "#3c3c44",
+     texture: "bars1.png"},
+    {name: "fence", kind: "wall", blocks: "movement", color: "#a07848",
+     texture: "fence1.png"},
+    {name: "glass", kind: "wall", blocks: "movement", color: "#a8d0e0",
+     texture: "glass1.png", ascii: "="},
+    {name: "curtain", kind: "wall", blocks: "sight", color: "#8c2a32",
+     texture: "curtain1.png", ascii: "~"}
+];
+
+/**
+ * The floor and ceiling flats, indexed by the values used in a level's floor
+ * and ceiling layers (0 means the level's default, so it has none). Each flat
+ * has a name, a fallback color and the path to a texture.
+ */
+export const FLATS = [
+    null,
+    {name: "flagstone", color: "#7a7468", texture: "floor1.png"},
+    {name: "plaster", color: "#d8d4c8", texture: "ceiling1.png"},
+    {name: "grass", color: "#4f7a3a", texture: "grass1.png"},
+    {name: "planks", color: "#96603a", texture: "wood1.png"}
+];
+
+/**
+ * The sprites, keyed by the type names used in levels. Each sprite has a kind
+ * ("item", which the camera picks up, "marker" or "decoration"), a fallback
+ * color, a size relative to a wall's height, an animation speed in frames per
+ * second and its frames. The
+ * frames are an array with one entry per direction the sprite can be seen
+ * from (starting from the front and going clockwise on the top-down map), each
+ * of which is an array of the paths of its animation frames. A sprite may also
+ * have the character that places it in ASCII levels.
+ */
+export const SPRITES = {
+    key: {kind: "item", color: "#e6be28", size: 0.35, fps: 3,
+          frames: [["key1.png", "key2.png"]], ascii: "k"},
+    marker: {kind: "marker", color: "#3cdc5a", size: 0.6, fps: 6,
+             frames: [["marker1.png", "marker2.png", "marker3.png", 
+                       "marker2.png"]]},
+    plant: {kind: "decoration", color: "#2d8232", size: 0.7, fps: 0,
+            frames: [["plant1.png"]]},
+    sign: {kind: "decoration", color: "#1e5aaa", size: 0.9, fps: 0,
+           frames: [["sign1.png"], ["sign2.png"], ["sign3.png"], 
+                    ["sign2.png"]]}
+};
+
+/**
+ * @param {string} theKind - Only return materials of this kind, if given.
+ * @returns {number[]} The tile values that have a material.
+ */
+export function wallTiles(theKind) {
+    return usedIndices(MATERIALS).filter((theTile) => {
+        return theKind === undefined || MATERIALS[theTile].kind === theKind;
+    });
+}
+
+/**
+ * @param {number} theTile - A tile value, or 0 for empty.
+ * @param {string} theWhat - "sight" or "movement".
+ * @returns {boolean} Whether the tile's material blocks it. Empty tiles
+ * block neither.
+ */
+export function tileBlocks(theTile, theWhat) {
+    let rv = false;
+    if (theTile !== 0) {
+        const blocks = MATERIALS[theTile].blocks;
+        rv = blocks === undefined || blocks === "both" || blocks === theWhat;
+    }
+    return rv;
+}
+
+/** @returns {number[]} The floor and ceiling values that have a flat. */
+export function flatTiles() {
+    return usedIndices(FLATS);
+}
+
+/**
+ * Loads every texture the game uses.
+ * @returns {Promise<Object>} Resolves to {materials, flats, sprites} (see
+ * loadMaterials, loadFlats and loadSprites). It never rejects.
+ */
+export function loadTextures() {
+    return Promise.all([loadMaterials(), loadFlats(), loadSprites()]).then(
+            ([theMaterials, theFlats, theSprites]) => {
+        return {materials: theMaterials, flats: theFlats, sprites: theSprites};
+    });
+}
+
+/**
+ * Lays out every material, flat and sprite like loadTextures but without any
+ * images, so that everything is drawn in its solid color. It's for where
+ * images can't be decoded, as in Node.
+ * @returns {Object} The textures as {materials, flats, sprites}.
+ */
+export function solidTextures() {
+    return {
+        materials: MATERIALS.map((theMaterial) => {
+            return theMaterial === null ? null :
+                   {name: theMaterial.name, color: theMaterial.color,
+                    textures: [null, null, null, null]};
+        }),
+        flats: FLATS.map((theFlat) => {
+            return theFlat === null ? null :
+                   {name: theFlat.name, color: theFlat.color, texture: null};
+        }),
+        sprites: Object.fromEntries(Object.entries(SPRITES).map(
+                ([theType, theSprite]) => [theType, {
+                    kind: theSprite.kind, color: theSprite.color,
+                    size: theSprite.size, fps: theSprite.fps,
+                    frames: theSprite.frames.map((theD) => {
+                        return theD.map(() => null);
+                    })
+                }]))
+    };
+}
+
+/**
+ * Loads and decodes the textures of every material.
+ * @param {Array} theMaterials - A registry laid out like MATERIALS.
+ * @returns {Promise<Array>} Resolves to an array indexed by tile value in
+ * which each material is {name, color, textures}, where textures holds the
+ * raw pixels (see loadFlats), or null if it couldn't be loaded, for each of
+ * the four faces. It never rejects.
+ */
+export function loadMaterials(theMaterials = MATERIALS) {
+    const images = new Map();
+    return Promise.all(theMaterials.map((theMaterial) => {
+        if (theMaterial === null) {
+            return null;
+        }
+        let paths = theMaterial.texture;
+        if (!Array.isArray(paths)) {
+            paths = [paths, paths, paths, paths];
+        }
+        return Promise.all(paths.map((thePath) => {
+            return thePath ? loadPixels(thePath, images) : null;
+        })).then((theTextures) => {
+            return {name: theMaterial.name, color: theMaterial.color,
+                    textures: theTextures};
+        });
+    }));
+}
+
+/**
+ * Loads and decodes the textures of every flat.
+ * @param {Array} theFlats - A registry laid out like FLATS.
+ * @returns {Promise<Array>} Resolves to an array indexed like the registry in
+ * which each flat is {name, color, texture}, where texture is {width, height,
+ * pixels} with one 32-bit RGBA (little-endian ABGR) value per pixel, or null
+ * if it couldn't be loaded. It never rejects.
+ */
+export function loadFlats(theFlats = FLATS) {
+    const images = new Map();
+    return Promise.all(theFlats.map((theFlat) => {
+        if (theFlat === null) {
+            return null;
+        }
+        return loadPixels(theFlat.texture, images).then((theTexture) => {
+            return {name: theFlat.name, color: theFlat.color,
+                    texture: theTexture};
+        });
+    }));
+}
+
+/**
+ * Loads and decodes the frames of every sprite.
+ * @param {Object} theSprites - A registry laid out like SPRITES.
+ * @returns {Promise<Object>} Resolves to an object keyed like the registry in
+ * which each sprite is {kind, color, size, fps, frames}, where frames has the
+ * same layout as in the registry but holds raw pixels (see loadFlats), or
+ * null where one couldn't be loaded. It never rejects.
+ */
+export function loadSprites(theSprites = SPRITES) {
+    const images = new Map();
+    const names = Object.keys(theSprites);
+    return Promise.all(names.map((theName) => {
+        const sprite = theSprites[theName];
+        return Promise.all(sprite.frames.map((theDirection) => {
+            return Promise.all(theDirection.map((thePath) => {
+                return loadPixels(thePath, images);
+            }));
+        })).then((theFrames) => {
+            return {kind: sprite.kind, color: sprite.color, size: sprite.size,
+                    fps: sprite.fps, frames: theFrames};
+        });
+    })).then((theLoaded) => {
+        const rv = {};
+        for (let i = 0; i < names.length; i++) {
+            rv[names[i]] = theLoaded[i];
+        }
+        return rv;
+    });
+}
+
+/**
+ * Loads and decodes an image once, sharing its pixels between everything that
+ * uses its path. Everything is drawn a pixel at a time by the renderer, so
+ * textures are kept as raw pixels rather than images.
+ * @param {string} thePath - The image's path.
+ * @param {Map} theCache - The images already requested, keyed by path.
+ * @returns {Promise<Object>} Resolves to the image as {width, height, pixels}
+ * or to null if it couldn't be loaded.
+ */
+function loadPixels(thePath, theCache) {
+    if (!theCache.has(thePath)) {
+        theCache.set(thePath, new Promise((theResolve) => {
+            const image = new Image();
+            image.addEventListener("load", () => {
+                theResolve(decodeImage(image));
+            });
+            image.addEventListener("error", () => {
+                warn(`Couldn't load texture '${thePath}'; ` +
+                     "using its solid color instead.");
+                theResolve(null);
+            });
+            image.src = thePath;
+        }));
+    }
+    return theCache.get(thePath);
+}
+
+/**
+ * Reads an image's pixels by drawing it to a scratch canvas.
+ * @param {HTMLImageElement} theImage - A loaded image.
+ * @returns {Object} The image as {width, height, pixels}.
+ */
+function decodeImage(theImage) {
+    const canvas = document.createElement("canvas");
+    canvas.width = theImage.naturalWidth;
+    canvas.height = theImage.naturalHeight;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(theImage, 0, 0);
+    const data = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+    return {width: canvas.width, height: canvas.height,
+            pixels: new Uint32Array(data.buffer)};
+}
+
+/**
+ * @param {Array} theRegistry - A registry with null for unused indices.
+ * @returns {number[]} The indices that aren't null.
+ */
+function usedIndices(theRegistry) {
+    const rv = [];
+    for (let i = 0; i < theRegistry.length; i++) {
+        if (theRegistry[i] !== null) {
+            rv.push(i);
+        }
+    }
+    return rv;
+}
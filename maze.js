@@ -0,0 +1,401 @@
+/**
+ * @file Contains the maze generator class, which builds tilemaps for World from
+ * a seed.
+ * @author Marcus Bartlett
+ */
+
+import { Random } from "./random.js";
+
+/** The names of the supported maze generation algorithms. */
+export const ALGORITHMS = ["backtracker", "prim", "kruskal", "eller"];
+
+/** The tile value of an empty space. */
+const EMPTY = 0;
+
+/** The tile value of a wall. */
+const WALL = 1;
+
+/** The width and height, in cells, of each section of same-material walls. */
+const SECTION_SIZE = 4;
+
+/** The four directions a passage can be carved in, as [dx, dy] pairs. */
+const DIRECTIONS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+/**
+ * Describes a maze generator. Mazes are measured in cells; each cell and each
+ * wall between cells is one tile, so a maze of W x H cells produces a tilemap
+ * of (2W + 1) x (2H + 1) tiles.
+ */
+export class MazeGenerator {
+    /**
+     * Constructs a maze generator.
+     * @param {number} theWidth - The maze's width in cells.
+     * @param {number} theHeight - The maze's height in cells.
+     * @param {number|string} theSeed - The seed. The same seed, size, algorithm
+     * and braid always produce the same maze.
+     */
+    constructor(theWidth, theHeight, theSeed) {
+        if (!Number.isInteger(theWidth) || !Number.isInteger(theHeight)) {
+            throw new Error("MazeGenerator passed non-integer dimensions.");
+        } else if (theWidth < 1 || theHeight < 1) {
+            throw new Error("A maze must be at least one cell wide and high.");
+        } else if (theSeed === null || theSeed === undefined) {
+            throw new Error("MazeGenerator passed null seed.");
+        } else {
+            /** The maze's width in cells. */
+            this._width = theWidth;
+            /** The maze's height in cells. */
+            this._height = theHeight;
+            /** The seed the maze is built from. */
+            this._seed = theSeed;
+        }
+    }
+
+    /**
+     * Generates a maze. The camera starts in the top-left cell and the exit is
+     * an opening in the outer wall beside the cell farthest from the start.
+     * @param {string} theAlgorithm - One of the names in ALGORITHMS.
+     * @param {number} theBraid - The fraction of dead ends to remove, from 0
+     * (a perfect maze) to 1 (no dead ends at all).
+     * @param {number[]} theWalls - The wall tile values to build with. Each
+     * section of the maze is built from one of them, picked at random.
+     * @returns {Object} A level (see level.js) holding the tilemap, the start
+     * as {x, y, angle} with the angle in degrees, and the exits as an array of
+     * [x, y] tiles.
+     */
+    generate(theAlgorithm = "backtracker", theBraid = 0, theWalls = [WALL]) {
+        if (!ALGORITHMS.includes(theAlgorithm)) {
+            throw new Error(`Unknown maze algorithm '${theAlgorithm}'.`);
+        } else if (typeof theBraid !== "number" || theBraid < 0 ||
+                theBraid > 1) {
+            throw new Error("Braid must be a number between 0 and 1.");
+        } else if (!Array.isArray(theWalls) || theWalls.length === 0 ||
+                theWalls.includes(EMPTY)) {
+            throw new Error("Walls must be a non-empty array of wall tiles.");
+        }
+        // Give each algorithm its own stream so sizes and names stay stable.
+        this._rng = new Random(`${this._seed}:${theAlgorithm}`);
+        this._tilemap = [];
+        for (let i = 0; i < 2 * this._height + 1; i++) {
+            this._tilemap.push(new Array(2 * this._width + 1).fill(WALL));
+        }
+        for (let y = 0; y < this._height; y++) {
+            for (let x = 0; x < this._width; x++) {
+                this._tilemap[2 * y + 1][2 * x + 1] = EMPTY;
+            }
+        }
+        if (theAlgorithm === "backtracker") {
+            this.backtracker();
+        } else if (theAlgorithm === "prim") {
+            this.prim();
+        } else if (theAlgorithm === "kruskal") {
+            this.kruskal();
+        } else {
+            this.eller();
+        }
+        if (theBraid > 0) {
+            this.braid(theBraid);
+        }
+        const exit = this.carveExit();
+        this.paintWalls(theWalls);
+        return {
+            tilemap: this._tilemap,
+            start: {x: 1.5, y: 1.5, angle: this.startAngle()},
+            exits: [exit]
+        };
+    }
+
+    /** Carves a perfect maze with a depth-first recursive backtracker. */
+    backtracker() {
+        const visited = this.makeGrid(false);
+        const stack = [[0, 0]];
+        visited[0][0] = true;
+        while (stack.length > 0) {
+            const [x, y] = stack[stack.length - 1];
+            const options = this.neighbors(x, y).filter(([nx, ny]) => {
+                return !visited[ny][nx];
+            });
+            if (options.length === 0) {
+                stack.pop();
+            } else {
+                const [nx, ny] = this._rng.pick(options);
+                this.carve(x, y, nx, ny);
+                visited[ny][nx] = true;
+                stack.push([nx, ny]);
+            }
+        }
+    }
+
+    /** Carves a perfect maze with a randomized version of Prim's algorithm. */
+    prim() {
+        const inside = this.makeGrid(false);
+        const frontier = [];
+        const addCell = (theX, theY) => {
+            inside[theY][theX] = true;
+            for (const [nx, ny] of this.neighbors(theX, theY)) {
+                if (!inside[ny][nx]) {
+                    frontier.push([theX, theY, nx, ny]);
+                }
+            }
+        };
+        addCell(this._rng.nextInt(this._width),
+                this._rng.nextInt(this._height));
+        while (frontier.length > 0) {
+            // Swap a random frontier edge to the end so removal is cheap.
+            const i = this._rng.nextInt(frontier.length);
+            const last = frontier.length - 1;
+            [frontier[i], frontier[last]] = [frontier[last], frontier[i]];
+            const [x, y, nx, ny] = frontier.pop();
+            if (!inside[ny][nx]) {
+                this.carve(x, y, nx, ny);
+                addCell(nx, ny);
+            }
+        }
+    }
+
+    /**
+     * Carves a perfect maze with a randomized version of Kruskal's
+     * algorithm.
+     */
+    kruskal() {
+        const parent = [];
+        for (let i = 0; i < this._width * this._height; i++) {
+            parent.push(i);
+        }
+        const find = (theI) => {
+            while (parent[theI] !== theI) {
+                parent[theI] = parent[parent[theI]];
+                theI = parent[theI];
+            }
+            return theI;
+        };
+        const edges = [];
+        for (let y = 0; y < this._height; y++) {
+            for (let x = 0; x < this._width; x++) {
+                if (x + 1 < this._width) {
+                    edges.push([x, y, x + 1, y]);
+                }
+                if (y + 1 < this._height) {
+                    edges.push([x, y, x, y + 1]);
+                }
+            }
+        }
+        this._rng.shuffle(edges);
+        for (const [x, y, nx, ny] of edges) {
+            const a = find(y * this._width + x);
+            const b = find(ny * this._width + nx);
+            if (a !== b) {
+                parent[a] = b;
+                this.carve(x, y, nx, ny);
+            }
+        }
+    }
+
+    /** Carves a perfect maze one row at a time with Eller's algorithm. */
+    eller() {
+        let sets = new Array(this._width).fill(0);
+        let next_set = 1;
+        for (let y = 0; y < this._height; y++) {
+            // Cells not joined from the row above get a fresh set.
+            for (let x = 0; x < this._width; x++) {
+                if (sets[x] === 0) {
+                    sets[x] = next_set++;
+                }
+            }
+            const last_row = y === this._height - 1;
+            // Randomly join adjacent cells in different sets (always on the
+            // last row, so that everything ends up connected).
+            for (let x = 0; x + 1 < this._width; x++) {
+                if (sets[x] !== sets[x + 1] &&
+                        (last_row || this._rng.chance(0.5))) {
+                    this.carve(x, y, x + 1, y);
+                    const old = sets[x + 1];
+                    for (let k = 0; k < this._width; k++) {
+                        if (sets[k] === old) {
+                            sets[k] = sets[x];
+                        }
+                    }
+                }
+            }
+            if (!last_row) {
+                // Every set must continue downward at least once.
+                const below = new Array(this._width).fill(0);
+                const members = new Map();
+                for (let x = 0; x < this._width; x++) {
+                    if (!members.has(sets[x])) {
+                        members.set(sets[x], []);
+                    }
+                    members.get(sets[x]).push(x);
+                }
+                for (const cells of members.values()) {
+                    this._rng.shuffle(cells);
+                    const count = 1 + this._rng.nextInt(cells.length);
+                    for (let k = 0; k < count; k++) {
+                        this.carve(cells[k], y, cells[k], y + 1);
+                        below[cells[k]] = sets[cells[k]];
+                    }
+                }
+                sets = below;
+            }
+        }
+    }
+
+    /**
+     * Removes dead ends by knocking down one of their walls, preferring walls
+     * that lead to other dead ends. Dead ends with no wall to knock down, like
+     * the ends of a maze one cell wide, are left alone.
+     * @param {number} theBraid - The probability of removing each dead end.
+     */
+    braid(theBraid) {
+        for (let y = 0; y < this._height; y++) {
+            for (let x = 0; x < this._width; x++) {
+                if (this.isDeadEnd(x, y) && this._rng.chance(theBraid)) {
+                    const closed = this.neighbors(x, y).filter(([nx, ny]) => {
+                        return this._tilemap[y + ny + 1][x + nx + 1] === WALL;
+                    });
+                    const dead = closed.filter(([nx, ny]) => {
+                        return this.isDeadEnd(nx, ny);
+                    });
+                    if (closed.length > 0) {
+                        const [nx, ny] = this._rng.pick(
+                                dead.length > 0 ? dead : closed);
+                        this.carve(x, y, nx, ny);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Divides the maze into sections and gives each section's walls one of the
+     * given wall tile values. The layout of the maze doesn't depend on them.
+     * @param {number[]} theWalls - The wall tile values to pick from.
+     */
+    paintWalls(theWalls) {
+        const rng = new Random(`${this._seed}:walls`);
+        const size = 2 * SECTION_SIZE;
+        const sections = [];
+        const rows = Math.ceil(this._tilemap.length / size);
+        const columns = Math.ceil(this._tilemap[0].length / size);
+        for (let i = 0; i < rows; i++) {
+            sections.push([]);
+            for (let j = 0; j < columns; j++) {
+                sections[i].push(rng.pick(theWalls));
+            }
+        }
+        for (let y = 0; y < this._tilemap.length; y++) {
+            for (let x = 0; x < this._tilemap[y].length; x++) {
+                if (this._tilemap[y][x] !== EMPTY) {
+                    this._tilemap[y][x] = sections[Math.floor(y / size)]
+                                                  [Math.floor(x / size)];
+                }
+            }
+        }
+    }
+
+    /**
+     * Opens the outer wall beside the border cell farthest from the start.
+     * @returns {number[]} The [x, y] tile of the opening.
+     */
+    carveExit() {
+        const dist = this.makeGrid(-1);
+        const queue = [[0, 0]];
+        dist[0][0] = 0;
+        let far = [0, 0];
+        while (queue.length > 0) {
+            const [x, y] = queue.shift();
+            const on_border = x === 0 || y === 0 || x === this._width - 1 ||
+                              y === this._height - 1;
+            if (on_border && dist[y][x] > dist[far[1]][far[0]]) {
+                far = [x, y];
+            }
+            for (const [nx, ny] of this.neighbors(x, y)) {
+                if (dist[ny][nx] === -1 &&
+                        this._tilemap[y + ny + 1][x + nx + 1] === EMPTY) {
+                    dist[ny][nx] = dist[y][x] + 1;
+                    queue.push([nx, ny]);
+                }
+            }
+        }
+        const [x, y] = far;
+        let exit = null;
+        if (x === this._width - 1) {
+            exit = [2 * x + 2, 2 * y + 1];
+        } else if (y === this._height - 1) {
+            exit = [2 * x + 1, 2 * y + 2];
+        } else if (y === 0) {
+            exit = [2 * x + 1, 0];
+        } else {
+            exit = [0, 2 * y + 1];
+        }
+        this._tilemap[exit[1]][exit[0]] = EMPTY;
+        return exit;
+    }
+
+    /**
+     * @returns {number} An angle, in degrees, that faces an open side of the
+     * start cell.
+     */
+    startAngle() {
+        let rv = 0;
+        if (this._tilemap[1][2] !== EMPTY && this._tilemap[2][1] === EMPTY) {
+            rv = 90;
+        }
+        return rv;
+    }
+
+    /**
+     * @param {number} theX - A cell's x-coordinate.
+     * @param {number} theY - A cell's y-coordinate.
+     * @returns {boolean} Whether the cell has exactly one open side.
+     */
+    isDeadEnd(theX, theY) {
+        let open = 0;
+        for (const [dx, dy] of DIRECTIONS) {
+            if (this._tilemap[2 * theY + 1 + dy][2 * theX + 1 + dx] === EMPTY) {
+                open++;
+            }
+        }
+        return open === 1;
+    }
+
+    /**
+     * @param {number} theX - A cell's x-coordinate.
+     * @param {number} theY - A cell's y-coordinate.
+     * @returns {number[][]} The [x, y] cells adjacent to the given cell.
+     */
+    neighbors(theX, theY) {
+        const rv = [];
+        for (const [dx, dy] of DIRECTIONS) {
+            const nx = theX + dx;
+            const ny = theY + dy;
+            if (nx >= 0 && ny >= 0 && nx < this._width && ny < this._height) {
+                rv.push([nx, ny]);
+            }
+        }
+        return rv;
+    }
+
+    /**
+     * Removes the wall between two adjacent cells.
+     * @param {number} theX - The first cell's x-coordinate.
+     * @param {number} theY - The first cell's y-coordinate.
+     * @param {number} theX2 - The second cell's x-coordinate.
+     * @param {number} theY2 - The second cell's y-coordinate.
+     */
+    carve(theX, theY, theX2, theY2) {
+        this._tilemap[theY + theY2 + 1][theX + theX2 + 1] = EMPTY;
+    }
+
+    /**
+     * @param theValue - The value to fill the grid with.
+     * @returns {Array} A 2D array the size of the maze in cells.
+     */
+    makeGrid(theValue) {
+        const rv = [];
+        for (let i = 0; i < this._height; i++) {
+            rv.push(new Array(this._width).fill(theValue));
+        }
+        return rv;
+    }
+}
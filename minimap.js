@@ -0,0 +1,221 @@
+/**
+ * @file Contains the minimap, which draws a top-down view of the world over
+ * the first-person view, either in a corner or filling the screen.
+ * @author Marcus Bartlett
+ */
+
+import { Ray } from "./ray.js";
+
+/**
+ * The actions that only change how the map is shown (see ACTIONS in
+ * input.js), so they aren't part of what's played and recorded.
+ */
+export const MAP_ACTIONS = ["map", "automap", "rotateMap", "zoomIn",
+                            "zoomOut"];
+
+/** The actions that zoom the minimap in and out (see ACTIONS in input.js). */
+const ZOOM_ACTIONS = {zoomIn: 1, zoomOut: -1};
+
+/** The starting size, in pixels, of a tile on the minimap. */
+const ZOOM_DEFAULT = 10;
+
+/** The smallest size, in pixels, of a tile on the minimap. */
+const ZOOM_MIN = 4;
+
+/** The largest size, in pixels, of a tile on the minimap. */
+const ZOOM_MAX = 32;
+
+/** How much each press of a zoom key scales the minimap by. */
+const ZOOM_STEP = 1.25;
+
+/** The size of the corner minimap relative to the smaller screen dimension. */
+const MINIMAP_SIZE = 0.3;
+
+/** The gap, in pixels, between the minimap and the edges of the screen. */
+const MARGIN = 8;
+
+/** How much of the screen the automap fills at most. */
+const AUTOMAP_FILL = 0.9;
+
+/** The color behind the map. */
+const BACKGROUND_COLOR = "rgba(0, 0, 0, 0.6)";
+
+/** The color of the border around the minimap. */
+const BORDER_COLOR = "#ffffff";
+
+/** The color of exit tiles. */
+const EXIT_COLOR = "#3cdc5a";
+
+/** The color of the camera's view cone. */
+const CONE_COLOR = "rgba(255, 255, 160, 0.35)";
+
+/** The color of the path to the exit, when there's a hint. */
+const PATH_COLOR = "#ffd040";
+
+/** The color of the camera's position. */
+const PLAYER_COLOR = "#ff3030";
+
+/** The radius, in tiles, of the camera's position. */
+const PLAYER_RADIUS = 0.25;
+
+/** The length, in tiles, of the line showing which way the camera faces. */
+const FACING_LENGTH = 0.75;
+
+/** Describes the minimap and automap overlay. */
+export class Minimap {
+    /** Constructs a Minimap instance, with the minimap shown. */
+    constructor() {
+        /** Whether the minimap is shown in the corner. */
+        this._visible = true;
+        /** Whether the full-screen automap is shown instead. */
+        this._full = false;
+        /** Whether the minimap turns so the camera always faces up. */
+        this._rotate = false;
+        /** The size of a tile on the minimap in pixels. */
+        this._zoom = ZOOM_DEFAULT;
+    }
+
+    /**
+     * Handles an action.
+     * @param {string} theAction - The action (see ACTIONS in input.js).
+     * @param {boolean} theBool - Whether its key was pressed (true) or
+     * released (false).
+     * @param {boolean} theRepeat - Whether the press is the key repeating.
+     * @returns {boolean} Whether the map changed and needs to be redrawn.
+     */
+    handleAction(theAction, theBool, theRepeat) {
+        let rv = false;
+        if (theBool && !theRepeat) {
+            rv = true;
+            if (theAction === "map") {
+                this._visible = !this._visible;
+            } else if (theAction === "automap") {
+                this._full = !this._full;
+            } else if (theAction === "rotateMap") {
+                this._rotate = !this._rotate;
+            } else if (theAction in ZOOM_ACTIONS) {
+                this._zoom = Math.min(ZOOM_MAX, Math.max(ZOOM_MIN,
+                        this._zoom * ZOOM_STEP ** ZOOM_ACTIONS[theAction]));
+            } else {
+                rv = false;
+            }
+        }
+        return rv;
+    }
+
+    /**
+     * Draws the minimap or automap, if either is shown.
+     * @param {CanvasRenderingContext2D} theCtx - The canvas's context.
+     * @param {Object} theView - What the camera sees, as {world, x, y, theta,
+     * cone, path}, where cone is the points the camera's view reaches, from
+     * left to right, and path is the [x, y] tiles of the way out to show, or
+     * null.
+     * @param {number} theSw - The screen width in pixels.
+     * @param {number} theSh - The screen height in pixels.
+     */
+    draw(theCtx, theView, theSw, theSh) {
+        const world = theView.world;
+        const map_w = world.width;
+        const map_h = world.height;
+        let left = 0;
+        let top = 0;
+        let size_w = 0;
+        let size_h = 0;
+        let scale = this._zoom;
+        let center_x = theView.x;
+        let center_y = theView.y;
+        let angle = 0;
+        if (this._full) {
+            // Fit the whole map on screen, north up.
+            scale = AUTOMAP_FILL * Math.min(theSw / map_w, theSh / map_h);
+            size_w = theSw;
+            size_h = theSh;
+            center_x = map_w / 2;
+            center_y = map_h / 2;
+        } else if (this._visible) {
+            size_w = Math.floor(MINIMAP_SIZE * Math.min(theSw, theSh));
+            size_h = size_w;
+            left = theSw - size_w - MARGIN;
+            top = MARGIN;
+            if (this._rotate) {
+                // Turn the map so that the camera faces up the screen.
+                angle = -Math.PI / 2 - theView.theta;
+            }
+        }
+        if (size_w > 0) {
+            theCtx.save();
+            theCtx.beginPath();
+            theCtx.rect(left, top, size_w, size_h);
+            theCtx.clip();
+            theCtx.fillStyle = BACKGROUND_COLOR;
+            theCtx.fillRect(left, top, size_w, size_h);
+            theCtx.translate(left + size_w / 2, top + size_h / 2);
+            theCtx.rotate(angle);
+            theCtx.scale(scale, scale);
+            theCtx.translate(-center_x, -center_y);
+            // Only show what the camera has explored.
+            world.drawWorld(theCtx, true);
+            theCtx.fillStyle = EXIT_COLOR;
+            for (const [x, y] of world.exits) {
+                if (world.seenAt(x, y)) {
+                    theCtx.fillRect(x, y, 1, 1);
+                }
+            }
+            if (Array.isArray(theView.path)) {
+                this.drawPath(theCtx, theView.path, scale);
+            }
+            this.drawPlayer(theCtx, theView, scale);
+            theCtx.restore();
+            if (!this._full) {
+                theCtx.strokeStyle = BORDER_COLOR;
+                theCtx.lineWidth = 1;
+                theCtx.strokeRect(left + 0.5, top + 0.5, size_w - 1,
+                                  size_h - 1);
+            }
+        }
+    }
+
+    /**
+     * A helper function that draws a path through the middle of its tiles in
+     * world coordinates.
+     * @param {CanvasRenderingContext2D} theCtx - The canvas's context, already
+     * transformed to world coordinates.
+     * @param {number[][]} thePath - The path's tiles as [x, y] pairs.
+     * @param {number} theScale - The size of a tile in pixels.
+     */
+    drawPath(theCtx, thePath, theScale) {
+        theCtx.strokeStyle = PATH_COLOR;
+        theCtx.lineWidth = 2 / theScale;
+        theCtx.beginPath();
+        for (const [x, y] of thePath) {
+            theCtx.lineTo(x + 0.5, y + 0.5);
+        }
+        theCtx.stroke();
+    }
+
+    /**
+     * A helper function that draws the camera's view cone, position and
+     * facing in world coordinates.
+     * @param {CanvasRenderingContext2D} theCtx - The canvas's context, already
+     * transformed to world coordinates.
+     * @param {Object} theView - What the camera sees (see draw).
+     * @param {number} theScale - The size of a tile in pixels.
+     */
+    drawPlayer(theCtx, theView, theScale) {
+        theCtx.fillStyle = CONE_COLOR;
+        theCtx.beginPath();
+        theCtx.moveTo(theView.x, theView.y);
+        for (const [x, y] of theView.cone) {
+            theCtx.lineTo(x, y);
+        }
+        theCtx.closePath();
+        theCtx.fill();
+        theCtx.fillStyle = PLAYER_COLOR;
+        theCtx.beginPath();
+        theCtx.arc(theView.x, theView.y, PLAYER_RADIUS, 0, 2 * Math.PI);
+        theCtx.fill();
+        theCtx.lineWidth = 2 / theScale;
+        new Ray(theView.x, theView.y, theView.theta, theView.world,
+                FACING_LENGTH).drawRay(theCtx);
+    }
+}
@@ -0,0 +1,251 @@
+/**
+ * @file Contains the path finder, which finds the shortest way out of a world
+ * through its tiles.
+ * @author Marcus Bartlett
+ */
+
+import { MATERIALS, tileBlocks } from "./materials.js";
+
+/** The names of the supported path finding algorithms. */
+export const PATH_ALGORITHMS = ["bfs", "astar"];
+
+/** The four directions a path can step in, as [dx, dy] pairs. */
+const DIRECTIONS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+/**
+ * Describes a path finder over a world's grid. Paths step between tiles that
+ * share an edge and may pass through doors the camera can open, but not
+ * through walls or secret walls. Any exit tile, or any step off the edge of
+ * the tilemap, ends a path.
+ */
+export class PathFinder {
+    /**
+     * Constructs a path finder.
+     * @param {World} theWorld - The world to find paths in.
+     */
+    constructor(theWorld) {
+        if (theWorld === null || typeof theWorld !== "object") {
+            throw new Error("PathFinder must be passed a world.");
+        } else {
+            /** The world to find paths in. */
+            this._world = theWorld;
+            /** The items held during the current search (see solve). */
+            this._inventory = [];
+            /** The world's exit tiles during the current search. */
+            this._exits = [];
+        }
+    }
+
+    /**
+     * Finds the shortest path to an exit. Both algorithms find a path of the
+     * same length. A* looks at fewer tiles when the way out is fairly direct,
+     * but in a winding maze it can be slower than BFS.
+     * @param {number} theX - The x-coordinate to start from.
+     * @param {number} theY - The y-coordinate to start from.
+     * @param {string} theAlgorithm - One of the names in PATH_ALGORITHMS.
+     * @param {string[]} theInventory - The types of the items the camera
+     * holds, which decide which locked doors it can go through.
+     * @returns {number[][]} The path's tiles as [x, y] pairs, from the start
+     * tile to the exit, or null if there's no way out.
+     */
+    solve(theX, theY, theAlgorithm = "astar", theInventory = []) {
+        if (!PATH_ALGORITHMS.includes(theAlgorithm)) {
+            throw new Error(`Unknown path algorithm '${theAlgorithm}'.`);
+        } else if (typeof theX !== "number" || typeof theY !== "number") {
+            throw new Error("PathFinder.solve passed non-numeric argument.");
+        }
+        this._inventory = theInventory;
+        this._exits = this._world.exits;
+        const start = [Math.floor(theX), Math.floor(theY)];
+        // Remember where each tile was reached from, keyed by tileKey.
+        const from = new Map([[tileKey(...start), null]]);
+        let end = null;
+        if (this._world.isExit(...start)) {
+            end = start;
+        } else if (theAlgorithm === "bfs") {
+            end = this.bfs(start, from);
+        } else {
+            end = this.astar(start, from);
+        }
+        let rv = null;
+        if (end !== null) {
+            rv = [];
+            for (let tile = end; tile !== null;
+                    tile = from.get(tileKey(...tile))) {
+                rv.push(tile);
+            }
+            rv.reverse();
+        }
+        return rv;
+    }
+
+    /**
+     * Searches outward from the start one step at a time, so the first exit
+     * reached is the nearest.
+     * @param {number[]} theStart - The start tile as [x, y].
+     * @param {Map} theFrom - Where each tile was reached from, filled in as
+     * the search goes.
+     * @returns {number[]} The exit reached as [x, y], or null if none was.
+     */
+    bfs(theStart, theFrom) {
+        let rv = null;
+        const queue = [theStart];
+        for (let i = 0; i < queue.length && rv === null; i++) {
+            for (const next of this.neighbors(queue[i])) {
+                const key = tileKey(...next);
+                if (rv === null && !theFrom.has(key)) {
+                    theFrom.set(key, queue[i]);
+                    if (this._world.isExit(...next)) {
+                        rv = next;
+                    } else {
+                        queue.push(next);
+                    }
+                }
+            }
+        }
+        return rv;
+    }
+
+    /**
+     * Searches the tiles in order of the length of the path through them so
+     * far plus an estimate of the rest that is never too long, so the first
+     * exit taken from the queue is the nearest.
+     * @param {number[]} theStart - The start tile as [x, y].
+     * @param {Map} theFrom - Where each tile was reached from, filled in as
+     * the search goes.
+     * @returns {number[]} The exit reached as [x, y], or null if none was.
+     */
+    astar(theStart, theFrom) {
+        let rv = null;
+        const steps = new Map([[tileKey(...theStart), 0]]);
+        const heap = [];
+        heapPush(heap, this.estimate(theStart), theStart);
+        while (heap.length > 0 && rv === null) {
+            const tile = heapPop(heap);
+            const taken = steps.get(tileKey(...tile));
+            if (this._world.isExit(...tile)) {
+                rv = tile;
+            } else {
+                for (const next of this.neighbors(tile)) {
+                    const key = tileKey(...next);
+                    if (!steps.has(key) || steps.get(key) > taken + 1) {
+                        steps.set(key, taken + 1);
+                        theFrom.set(key, tile);
+                        heapPush(heap, taken + 1 + this.estimate(next), next);
+                    }
+                }
+            }
+        }
+        return rv;
+    }
+
+    /**
+     * @param {number[]} theTile - A tile as [x, y].
+     * @returns {number} The fewest steps from the tile to an exit if nothing
+     * were in the way: to the nearest exit tile or off the nearest edge.
+     */
+    estimate(theTile) {
+        const [x, y] = theTile;
+        const w = this._world.width;
+        const h = this._world.height;
+        let rv = Math.min(x + 1, y + 1, w - x, h - y);
+        for (const [exit_x, exit_y] of this._exits) {
+            rv = Math.min(rv, Math.abs(exit_x - x) + Math.abs(exit_y - y));
+        }
+        return rv;
+    }
+
+    /**
+     * @param {number[]} theTile - A tile as [x, y].
+     * @returns {number[][]} The tiles next to it that a path can step into,
+     * leaving out ledges too high to climb and tiles walled off by a segment.
+     */
+    neighbors(theTile) {
+        const rv = [];
+        for (const [dx, dy] of DIRECTIONS) {
+            const x = theTile[0] + dx;
+            const y = theTile[1] + dy;
+            if (this.passable(x, y) &&
+                    this._world.canStep(theTile[0], theTile[1], x, y) &&
+                    !this._world.crossesSegment(theTile[0] + 0.5,
+                                                theTile[1] + 0.5, x + 0.5,
+                                                y + 0.5)) {
+                rv.push([x, y]);
+            }
+        }
+        return rv;
+    }
+
+    /**
+     * @param {number} theX - The tile's x-coordinate.
+     * @param {number} theY - The tile's y-coordinate.
+     * @returns {boolean} Whether a path can go through the tile: it's empty
+     * (which includes off the edge), a wall that doesn't block movement, or a
+     * door the camera can open.
+     */
+    passable(theX, theY) {
+        const tile = this._world.getTile(theX, theY);
+        let rv = !tileBlocks(tile, "movement");
+        if (!rv && MATERIALS[tile].kind === "door") {
+            const key = MATERIALS[tile].key;
+            rv = key === undefined || this._inventory.includes(key);
+        }
+        return rv;
+    }
+}
+
+/**
+ * @param {number} theX - A tile's x-coordinate.
+ * @param {number} theY - A tile's y-coordinate.
+ * @returns {string} A key that identifies the tile in a Map.
+ */
+function tileKey(theX, theY) {
+    return `${theX},${theY}`;
+}
+
+/**
+ * Adds an entry to a binary min-heap.
+ * @param {Array} theHeap - The heap, as an array of [priority, value] pairs.
+ * @param {number} thePriority - The entry's priority; lower comes out first.
+ * @param {*} theValue - The entry's value.
+ */
+function heapPush(theHeap, thePriority, theValue) {
+    theHeap.push([thePriority, theValue]);
+    let i = theHeap.length - 1;
+    while (i > 0 && theHeap[(i - 1) >> 1][0] > theHeap[i][0]) {
+        const parent = (i - 1) >> 1;
+        [theHeap[i], theHeap[parent]] = [theHeap[parent], theHeap[i]];
+        i = parent;
+    }
+}
+
+/**
+ * Takes the entry with the lowest priority out of a binary min-heap.
+ * @param {Array} theHeap - A non-empty heap (see heapPush).
+ * @returns {*} The entry's value.
+ */
+function heapPop(theHeap) {
+    const rv = theHeap[0][1];
+    const last = theHeap.pop();
+    if (theHeap.length > 0) {
+        theHeap[0] = last;
+        let i = 0;
+        let done = false;
+        while (!done) {
+            let least = i;
+            for (const child of [2 * i + 1, 2 * i + 2]) {
+                if (child < theHeap.length &&
+                        theHeap[child][0] < theHeap[least][0]) {
+                    least = child;
+                }
+            }
+            if (least === i) {
+                done = true;
+            } else {
+                [theHeap[i], theHeap[least]] = [theHeap[least], theHeap[i]];
+                i = least;
+            }
+        }
+    }
+    return rv;
+}
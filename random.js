@@ -0,0 +1,86 @@
+/**
+ * @file Contains a small seeded pseudo-random number generator so that things
+ * like mazes can be reproduced from a seed.
+ * @author Marcus Bartlett
+ */
+
+/** Describes a seeded pseudo-random number generator (Mulberry32). */
+export class Random {
+    /**
+     * Constructs a random number generator.
+     * @param {number|string} theSeed - The seed. Strings are hashed to a
+     * number.
+     */
+    constructor(theSeed) {
+        if (typeof theSeed === "string") {
+            theSeed = Random.hash(theSeed);
+        }
+        if (typeof theSeed !== "number" || isNaN(theSeed)) {
+            throw new Error("Random must be seeded with a number or string.");
+        }
+        /** The generator's internal 32-bit state. */
+        this._state = theSeed >>> 0;
+    }
+
+    /**
+     * Hashes a string into a 32-bit unsigned integer (FNV-1a).
+     * @param {string} theString - The string to hash.
+     * @returns {number} The hash.
+     */
+    static hash(theString) {
+        let h = 2166136261;
+        for (let i = 0; i < theString.length; i++) {
+            h ^= theString.charCodeAt(i);
+            h = Math.imul(h, 16777619);
+        }
+        return h >>> 0;
+    }
+
+    /** @returns {number} A number in the range [0, 1). */
+    next() {
+        this._state = (this._state + 0x6d2b79f5) >>> 0;
+        let t = this._state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} theMax - The exclusive upper bound.
+     * @returns {number} An integer in the range [0, theMax).
+     */
+    nextInt(theMax) {
+        return Math.floor(this.next() * theMax);
+    }
+
+    /**
+     * @param {number} theChance - The probability of returning true.
+     * @returns {boolean} True with the given probability.
+     */
+    chance(theChance) {
+        return this.next() < theChance;
+    }
+
+    /**
+     * @param {Array} theArray - A non-empty array.
+     * @returns A random element of the array.
+     */
+    pick(theArray) {
+        return theArray[this.nextInt(theArray.length)];
+    }
+
+    /**
+     * Shuffles an array in place (Fisher-Yates).
+     * @param {Array} theArray - The array to shuffle.
+     * @returns {Array} The same array.
+     */
+    shuffle(theArray) {
+        for (let i = theArray.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            const temp = theArray[i];
+            theArray[i] = theArray[j];
+            theArray[j] = temp;
+        }
+        return theArray;
+    }
+}
@@ -4,10 +4,17 @@
  */
 
 import { World } from "./world.js";
+import { intersect } from "./geometry.js";
 
 /** The color of the ray when drawn with drawRay. */
 const COLOR = "#00ff00";
 
+/**
+ * How close, in tiles along the ray, it must cross a vertical and a horizontal
+ * grid line to count as passing through their corner.
+ */
+const CORNER_EPSILON = 1e-9;
+
 /** A class describing a ray. */
 export class Ray {
     /**
@@ -39,179 +46,320 @@ export class Ray {
         }
     }
 
-    /** Draws a top-down representation of the ray to the canvas */
-    drawRay() {
-        const canvas = document.querySelector("canvas");
-        const ctx = canvas.getContext("2d", {alpha: "false"});
-        ctx.beginPath();
-        ctx.strokeStyle = COLOR;
-        ctx.moveTo(this._x + 0.5, this._y + 0.5);
+    /**
+     * Draws a top-down representation of the ray, one unit per tile, like
+     * World.drawWorld.
+     * @param {CanvasRenderingContext2D} theCtx - The context to draw to.
+     */
+    drawRay(theCtx) {
+        theCtx.beginPath();
+        theCtx.strokeStyle = COLOR;
+        theCtx.moveTo(this._x, this._y);
         const x2 = this._x + this._dist * Math.cos(this._theta);
         const y2 = this._y + this._dist * Math.sin(this._theta);
-        ctx.lineTo(x2, y2);
-        ctx.stroke();
+        theCtx.lineTo(x2, y2);
+        theCtx.stroke();
     }
 
     /**
-     * The big one. Checks where the ray first collides with a wall.
-     * @returns A three-element array in which the first two elements are the x-
+     * Checks where the ray first collides with a wall (see seekCollisions).
+     * @param {number} theFacing - The angle, in radians, that the camera faces,
+     * which the perpendicular distance is measured along. Defaults to the
+     * ray's own angle.
+     * @returns A six-element array in which the first two elements are the x-
      * and y-coordinates (these coordinates are in global space) of where the
-     * ray collides with a wall and the third element is a number representing
+     * ray collides with a wall, the third element is a number representing
      * the face of the wall that the ray hit:
      * _3_
      * 2█0
      * _1_
+     * the fourth is the value of the tile that was hit, the fifth is how
+     * far across the face the ray hit, from 0 to 1, for texturing, and the
+     * sixth is the distance to the hit measured along theFacing.
      * If there is no collision, all elements will be null.
      */
-    seekCollision() {
-        let rv_x = null;
-        let rv_y = null
-        let rv_face = null;
-        let short_flag = true;
-        let collide_flag = false;
-        let tip_x = this._x;
-        let tip_y = this._y;
-        const sign_sin = Math.sign(Math.sin(this._theta));
-        const sign_cos = Math.sign(Math.cos(this._theta));
-        let distance = 0;
-        let test_x = 0;
-        let test_y = 0;
-        while (short_flag && !collide_flag) {
-            let x_near = this.nearestGrid(tip_x, tip_y, this._theta, false);
-            let y_near = this.nearestGrid(tip_x, tip_y, this._theta, true);
-            let x_dist = Math.hypot(tip_x - x_near[0], tip_y - x_near[1]);
-            let y_dist = Math.hypot(tip_x - y_near[0], tip_y - y_near[1]);
-            if (y_dist === 0 || x_dist < y_dist) {
-                tip_x = x_near[0];
-                tip_y = x_near[1];
-                distance += x_dist;
-            } else {
-                tip_x = y_near[0];
-                tip_y = y_near[1];
-                distance += y_dist;
+    seekCollision(theFacing = this._theta) {
+        let rv = [null, null, null, null, null, null];
+        this.seekCollisions(theFacing, (theHit) => {
+            const wall = theHit.face >= 0 && theHit.tile !== 0;
+            if (wall) {
+                rv = [theHit.x, theHit.y, theHit.face, theHit.tile, theHit.u,
+                      theHit.depth];
             }
-            if (distance >= this._dist) {
-                short_flag = false;
-            } else {
-                /* This system of rounding is in place to prevent rays from
-                 * skipping over wall corners. One must be subtracted in 
-                 * some directions to prevent the wrong square from being
-                 * checked. */
-                if (sign_cos === -1) {
-                    test_x = Math.ceil(tip_x - 1);
-                } else {
-                    test_x = Math.floor(tip_x);
+            return wall;
+        });
+        return rv;
+    }
+
+    /**
+     * The big one. Follows the ray from one grid line to the next (a digital
+     * differential analyzer), visiting each tile it passes through that has
+     * something in it: a wall, or a floor raised above the ground (see
+     * World.elevationAt). The segments it crosses (see World.segments) are
+     * visited in turn along with the tiles. Walls can be lower than the
+     * camera, so the ray carries on past them until the visitor has seen
+     * enough.
+     * @param {number} theFacing - The angle, in radians, that the camera faces,
+     * which the perpendicular distances are measured along.
+     * @param {Function} theVisit - Called with each hit, nearest first, and
+     * returns true to stop. A hit is {x, y, face, tile, u, depth, exit, tx,
+     * ty, segment}: where the ray hits, the face it hits (see seekCollision),
+     * the tile's value, the texture coordinate, the distances to the hit and
+     * to where the ray leaves the tile, the tile's coordinates and the
+     * segment hit, which is null for tiles. A segment has no thickness, so
+     * the ray leaves it where it hits it, and its face is the one of the four
+     * that faces most nearly the same way. If the tile the ray starts in has
+     * a raised floor, it's visited first, with a face of -1 and a depth of 0.
+     */
+    seekCollisions(theFacing, theVisit) {
+        const cos = Math.cos(this._theta);
+        const sin = Math.sin(this._theta);
+        const perp = Math.cos(this._theta - theFacing);
+        const step_x = Math.sign(cos);
+        const step_y = Math.sign(sin);
+        // How far along the ray it is from one vertical (or horizontal) grid
+        // line to the next, and to the first one.
+        const delta_x = step_x === 0 ? Infinity : Math.abs(1 / cos);
+        const delta_y = step_y === 0 ? Infinity : Math.abs(1 / sin);
+        let map_x = Math.floor(this._x);
+        let map_y = Math.floor(this._y);
+        let side_x = Infinity;
+        let side_y = Infinity;
+        if (step_x !== 0) {
+            side_x = (step_x > 0 ? map_x + 1 - this._x : this._x - map_x) *
+                     delta_x;
+        }
+        if (step_y !== 0) {
+            side_y = (step_y > 0 ? map_y + 1 - this._y : this._y - map_y) *
+                     delta_y;
+        }
+        let stop = false;
+        if (this._world.elevationAt(map_x, map_y) > 0) {
+            stop = theVisit({x: this._x, y: this._y, face: -1,
+                             tile: this._world.getTile(map_x, map_y), u: 0,
+                             depth: 0, exit: Math.min(side_x, side_y) * perp,
+                             tx: map_x, ty: map_y, segment: null});
+        }
+        const crossings = this.crossSegments(perp);
+        let next = 0;
+        while (!stop && Math.min(side_x, side_y) < this._dist) {
+            const hits = [];
+            /* When the ray passes (almost) exactly through a corner it touches
+             * both tiles beside the corner, so visit them both before
+             * stepping over one; this stops it slipping between two walls
+             * that meet diagonally. The tile it steps into is one of them. */
+            const corner = Math.abs(side_x - side_y) < CORNER_EPSILON;
+            if (corner) {
+                hits.push([map_x + step_x, map_y, side_x, true],
+                          [map_x, map_y + step_y, side_y, false]);
+            }
+            // Where the ray enters the next tile.
+            const enter = Math.min(side_x, side_y);
+            if (side_x < side_y) {
+                map_x += step_x;
+                side_x += delta_x;
+                if (!corner) {
+                    hits.push([map_x, map_y, enter, true]);
                 }
-                if (sign_sin === -1) {
-                    test_y = Math.ceil(tip_y - 1);
-                } else {
-                    test_y = Math.floor(tip_y);
+            } else {
+                map_y += step_y;
+                side_y += delta_y;
+                if (!corner) {
+                    hits.push([map_x, map_y, enter, false]);
                 }
-                if (this._world.checkCollision(test_x, test_y)) {
-                    rv_x = tip_x;
-                    rv_y = tip_y;
-                    rv_face = this.determineFace(tip_x, tip_y, sign_cos, 
-                                                 sign_sin);
-                    collide_flag = true;
+            }
+            // Where the ray leaves the tile; a corner is only grazed.
+            const exit = corner ? enter : Math.min(side_x, side_y);
+            for (let i = 0; i < hits.length && !stop; i++) {
+                const [tx, ty, t, across_x] = hits[i];
+                const hit = this.hitTile(tx, ty, t, across_x);
+                if (hit !== null) {
+                    const along = (hit[0] - this._x) * cos +
+                                  (hit[1] - this._y) * sin;
+                    while (!stop && next < crossings.length &&
+                            crossings[next][0] < along) {
+                        stop = theVisit(crossings[next++][1]);
+                    }
+                    if (!stop) {
+                        stop = theVisit({x: hit[0], y: hit[1], face: hit[2],
+                                         tile: hit[3], u: hit[4],
+                                         depth: along * perp,
+                                         exit: Math.max(along, exit) * perp,
+                                         tx: tx, ty: ty, segment: null});
+                    }
                 }
             }
         }
-        return [rv_x, rv_y, rv_face];
+        while (!stop && next < crossings.length) {
+            stop = theVisit(crossings[next++][1]);
+        }
     }
-    
-    /*
-     * A helper function that determines which face of a wall the ray hit. (Note
-     * that the x- and y-coordinates supplied here are where the tip actually is
-     * and not where the ray is checking for collisions.)
-     * @param theX {number} - The x-coordinate of the ray's tip.
-     * @param theY {number} - The y-coordinate of the ray's tip.
-     * @param theSignCos {number} - The sign of the cosine of the ray's angle.
-     * @param theSignSin {number} - The sign of the sine of the ray's angle.
-     * @return {number} - A number representing the face of the wall (see 
-     * documentation for seekCollision for details).
+
+    /**
+     * A helper function that finds where the ray crosses each of the world's
+     * segments.
+     * @param {number} thePerp - How much shorter distances are measured along
+     * the way the camera faces than along the ray.
+     * @returns {Array} The crossings, nearest first, as [along, hit] pairs:
+     * how far along the ray each one is and the hit to visit (see
+     * seekCollisions).
      */
-    determineFace(theX, theY, theSignCos, theSignSin) {
-        let rv = 0;
-        if (typeof theX !== "number" || typeof theY !== "number" || 
-                typeof theSignCos !== "number" || 
-                typeof theSignSin !== "number") {
-            throw new Error("determineFace must be passed only numeric types.");
-        } else if (theSignCos !== -1 && theSignCos !== 0 && theSignCos !== 1) {
-            throw new Error("theSignCos must equal -1, 0, or 1");
-        } else if (theSignSin !== -1 && theSignSin !== 0 && theSignSin !== 1) {
-            throw new Error("theSignSin must equal -1, 0, or 1");
-        } else if (Number.isInteger(theX) && Number.isInteger(theY)) {
-            if (this._world.checkCollision(theX, theY)) {
-                if (this._world.checkCollision(theX - 1, theY)) {
-                    rv = 3;
-                } else {
-                    rv = 2;
+    crossSegments(thePerp) {
+        const rv = [];
+        const cos = Math.cos(this._theta);
+        const sin = Math.sin(this._theta);
+        const end_x = this._x + this._dist * cos;
+        const end_y = this._y + this._dist * sin;
+        for (const segment of this._world.segments) {
+            const cross = intersect(this._x, this._y, end_x, end_y,
+                                    segment.x0, segment.y0, segment.x1,
+                                    segment.y1);
+            if (cross !== null && cross[0] > 0) {
+                const along = cross[0] * this._dist;
+                const x = this._x + along * cos;
+                const y = this._y + along * sin;
+                const dx = segment.x1 - segment.x0;
+                const dy = segment.y1 - segment.y0;
+                const length = Math.hypot(dx, dy);
+                // The segment's normal on the side the ray comes from.
+                let normal_x = dy / length;
+                let normal_y = -dx / length;
+                if (normal_x * cos + normal_y * sin > 0) {
+                    normal_x = -normal_x;
+                    normal_y = -normal_y;
                 }
-            } else {
-                if (this._world.checkCollision(theX - 1, theY)) {
-                    rv = 0;
+                let face = 0;
+                if (Math.abs(normal_x) >= Math.abs(normal_y)) {
+                    face = normal_x > 0 ? 0 : 2;
                 } else {
-                    rv = 1;
+                    face = normal_y > 0 ? 1 : 3;
                 }
-            }
-        } else if (Number.isInteger(theX)) {            
-            if (theSignCos === -1) {
-                rv = 0;
-            } else {
-                rv = 2;
-            }
-        } else if (Number.isInteger(theY)) {
-            if (theSignSin === -1) {
-                rv = 1
-            } else {
-                rv = 3;
+                // Textures repeat every tile along the segment and read left
+                // to right from either side.
+                const right = cos * dy - sin * dx > 0;
+                const along_segment = right ? cross[1] * length :
+                                      (1 - cross[1]) * length;
+                rv.push([along, {x: x, y: y, face: face, tile: segment.tile,
+                                 u: along_segment - Math.floor(along_segment),
+                                 depth: along * thePerp,
+                                 exit: along * thePerp, tx: Math.floor(x),
+                                 ty: Math.floor(y), segment: segment}]);
             }
         }
+        rv.sort((theA, theB) => theA[0] - theB[0]);
         return rv;
     }
 
-    /** 
-     * Finds the ray's nearest intersection with the grid.
-     * @param theX {number} - The tip's current x-coordinate.
-     * @param theY {number} - The tip's current y-coordinate.
-     * @param theTheta {number} - The ray's angle in radians.
-     * @param theYSnap {boolean} - Whether to snap to the y-coordinate.
-     * @returns {number[]} - A length 2 array for the intersecting coordinates.
+    /**
+     * A helper function that checks whether the ray hits a tile it has just
+     * entered.
+     * @param {number} theTx - The tile's x-coordinate.
+     * @param {number} theTy - The tile's y-coordinate.
+     * @param {number} theT - How far along the ray it enters the tile.
+     * @param {boolean} theAcrossX - Whether it enters across a vertical grid
+     * line (true) or a horizontal one (false).
+     * @returns {Array} The hit's x- and y-coordinates, face, tile value and
+     * texture coordinate (see seekCollision), or null if the ray misses.
+     * Tiles with a raised floor are hit where the ray enters them.
      */
-    nearestGrid(theX, theY, theTheta, theYSnap) {
-        let rv_x = theX;
-        let rv_y = theY;
-        const b = (theY - Math.tan(theTheta) * theX);
-        const sin = Math.sin(theTheta);
-        const cos = Math.cos(theTheta);
-        if (theYSnap) {
-            if (Number.isInteger(theY)) {
-                rv_y = theY + Math.sign(sin);
+    hitTile(theTx, theTy, theT, theAcrossX) {
+        let rv = null;
+        if (this._world.getTile(theTx, theTy) !== 0 ||
+                this._world.elevationAt(theTx, theTy) > 0) {
+            const cos = Math.cos(this._theta);
+            const sin = Math.sin(this._theta);
+            let x = this._x + theT * cos;
+            let y = this._y + theT * sin;
+            let face = 0;
+            // Put the point exactly on the grid line it crossed.
+            if (theAcrossX) {
+                x = cos > 0 ? theTx : theTx + 1;
+                face = cos > 0 ? 2 : 0;
             } else {
-                if (sin < 0) {
-                    rv_y = Math.floor(theY);
-                } else {
-                    rv_y = Math.ceil(theY);
-                }
+                y = sin > 0 ? theTy : theTy + 1;
+                face = sin > 0 ? 3 : 1;
             }
-            if (!Number.isInteger(theY) || theTheta != 0) {
-                rv_x = (rv_y - b) / Math.tan(theTheta);
+            const inset = this._world.getInset(theTx, theTy);
+            const hit = inset === null ? [x, y, face] :
+                        this.hitInset(inset, x, y, theTx, theTy, face);
+            // The ray may pass through an open part of a door.
+            if (hit !== null) {
+                rv = [hit[0], hit[1], hit[2], this._world.getTile(theTx, theTy),
+                      hit.length > 3 ? hit[3] : 
+                      this.textureU(hit[0], hit[1], hit[2])];
             }
+        }
+        return rv;
+    }
+
+    /**
+     * A helper function that finds where the ray hits a door panel or a
+     * sliding secret wall (see World.getInset) after entering its tile.
+     * @param {Object} theInset - The tile's inset face.
+     * @param {number} theX - The x-coordinate where the ray enters the tile.
+     * @param {number} theY - The y-coordinate where the ray enters the tile.
+     * @param {number} theTx - The tile's x-coordinate.
+     * @param {number} theTy - The tile's y-coordinate.
+     * @param {number} theFace - The face of the tile the ray enters through.
+     * @returns {number[]} The hit's x- and y-coordinates, face and (for hits
+     * on the inset face) texture coordinate, or null if the ray misses.
+     */
+    hitInset(theInset, theX, theY, theTx, theTy, theFace) {
+        let rv = null;
+        const on_axis = theInset.axis === "x" ? theX : theY;
+        if (theInset.solid !== 0 && 
+                (on_axis - theInset.pos) * theInset.solid > 0) {
+            // The ray entered the solid part of a sliding wall directly.
+            rv = [theX, theY, theFace];
         } else {
-            if (Number.isInteger(theX)) {
-                rv_x = theX + Math.sign(cos);
-            } else {
-                if (cos < 0) {
-                    rv_x = Math.floor(theX);
+            const cos = Math.cos(this._theta);
+            const sin = Math.sin(this._theta);
+            const speed = theInset.axis === "x" ? cos : sin;
+            const t = speed === 0 ? -1 : (theInset.pos - on_axis) / speed;
+            const x = theInset.axis === "x" ? theInset.pos : theX + t * cos;
+            const y = theInset.axis === "x" ? theY + t * sin : theInset.pos;
+            const along = theInset.axis === "x" ? y : x;
+            const tile_min = theInset.axis === "x" ? theTy : theTx;
+            if (t >= 0 && along >= theInset.min && along <= theInset.max &&
+                    along >= tile_min && along <= tile_min + 1) {
+                let face = 0;
+                let u = along - theInset.min;
+                if (theInset.axis === "x") {
+                    face = cos > 0 ? 2 : 0;
                 } else {
-                    rv_x = Math.ceil(theX);
+                    face = sin > 0 ? 3 : 1;
                 }
+                if (face === 0 || face === 3) {
+                    u = 1 - u;
+                }
+                rv = [x, y, face, u];
             }
-            rv_y = (Math.tan(theTheta) * rv_x) + b;
         }
-        return [rv_x, rv_y];
+        return rv;
     }
 
+    /**
+     * A helper function that finds how far across a wall's face a point is,
+     * so that textures read the right way around from every side.
+     * @param {number} theX - The x-coordinate of the point.
+     * @param {number} theY - The y-coordinate of the point.
+     * @param {number} theFace - The face the point is on.
+     * @returns {number} The texture coordinate from 0 to 1.
+     */
+    textureU(theX, theY, theFace) {
+        let rv = 0;
+        if (theFace === 0) {
+            rv = 1 - (theY - Math.floor(theY));
+        } else if (theFace === 1) {
+            rv = theX - Math.floor(theX);
+        } else if (theFace === 2) {
+            rv = theY - Math.floor(theY);
+        } else {
+            rv = 1 - (theX - Math.floor(theX));
+        }
+        return rv;
+    }
+    
     /** @returns {number} The ray's angle. */
     get theta() {
         return this._theta;
@@ -268,6 +416,18 @@ export class Ray {
         return this._world;
     }
 
+    /**
+     * Sets the world the ray is cast in.
+     * @param theWorld {World} - The new world.
+     */
+    set world(theWorld) {
+        if (!(theWorld instanceof World)) {
+            throw new Error("Ray's world must be a World.");
+        } else {
+            this._world = theWorld;
+        }
+    }
+
     /** @returns {number} The draw distance. */
     get dist() {
         return this._dist;
@@ -0,0 +1,186 @@
+/**
+ * @file Contains recordings of the input given to the game on each tick of a
+ * level, which can be replayed to play the level out exactly the same way.
+ * @author Marcus Bartlett
+ */
+
+/**
+ * The kinds of input a recording holds and the fields each one has besides
+ * its type (see Game.applyInput).
+ */
+const INPUT_FIELDS = {action: ["action", "down", "repeat"],
+                      steer: ["source", "forward", "strafe", "turn"],
+                      look: ["dx"]};
+
+/**
+ * Describes a recording of a level being played: the maze seed and level
+ * number it was played on, the mouse look settings it was played with, the
+ * input given on each tick and where the camera was when it ended.
+ */
+export class Recording {
+    /**
+     * Constructs an empty recording.
+     * @param {number|string} theSeed - The seed of the generated mazes.
+     * @param {number} theLevel - The level number, starting from 1.
+     * @param {Object} theMouse - The mouse look settings (see Camera.mouse).
+     */
+    constructor(theSeed, theLevel, theMouse) {
+        if (typeof theSeed !== "number" && typeof theSeed !== "string") {
+            throw new Error("Recording has an invalid seed.");
+        } else if (!Number.isInteger(theLevel) || theLevel < 1) {
+            throw new Error("Recording has an invalid level.");
+        } else if (theMouse === null || typeof theMouse !== "object") {
+            throw new Error("Recording has invalid mouse settings.");
+        } else {
+            /** The seed of the generated mazes. */
+            this._seed = theSeed;
+            /** The level number. */
+            this._level = theLevel;
+            /** The mouse look settings. */
+            this._mouse = {...theMouse};
+            /** The input given, in order, as [tick, input] pairs. */
+            this._inputs = [];
+            /**
+             * How many ticks it lasted and where the camera was at the end,
+             * as {ticks, x, y, angle}, or null while it's being recorded.
+             */
+            this._end = null;
+            /** The index of the next input to replay (see inputsAt). */
+            this._next = 0;
+        }
+    }
+
+    /**
+     * Reads a recording from plain data, such as a saved file.
+     * @param {Object} theData - The recording as returned by toJSON.
+     * @returns {Recording} The recording.
+     */
+    static fromJSON(theData) {
+        if (theData === null || typeof theData !== "object") {
+            throw new Error("Recording must be an object.");
+        }
+        const rv = new Recording(theData.seed, theData.level, theData.mouse);
+        const end = theData.end;
+        if (!Array.isArray(theData.inputs)) {
+            throw new Error("Recording's inputs must be an array.");
+        } else if (end === null || typeof end !== "object" ||
+                !Number.isInteger(end.ticks) || end.ticks < 0 ||
+                ![end.x, end.y, end.angle].every(Number.isFinite)) {
+            throw new Error("Recording has an invalid end.");
+        }
+        for (const entry of theData.inputs) {
+            if (!Array.isArray(entry) || entry.length !== 2 ||
+                    !Number.isInteger(entry[0]) || entry[0] < 0 ||
+                    entry[0] >= end.ticks) {
+                throw new Error("Recording has an input at an invalid tick.");
+            }
+            rv.add(entry[0], entry[1]);
+        }
+        rv.finish(end.ticks, end.x, end.y, end.angle);
+        return rv;
+    }
+
+    /**
+     * Adds an input given on a tick, which must be no earlier than the last
+     * one added.
+     * @param {number} theTick - The tick, counted from the start of the level.
+     * @param {Object} theInput - The input as {type, ...} (see INPUT_FIELDS).
+     */
+    add(theTick, theInput) {
+        const last = this._inputs[this._inputs.length - 1];
+        if (this._end !== null) {
+            throw new Error("Recording has already finished.");
+        } else if (last !== undefined && theTick < last[0]) {
+            throw new Error("Recording's inputs must be in order.");
+        } else if (theInput === null || typeof theInput !== "object" ||
+                !(theInput.type in INPUT_FIELDS) ||
+                INPUT_FIELDS[theInput.type].some((theField) => {
+                    return !(theField in theInput);
+                })) {
+            throw new Error("Recording passed an invalid input.");
+        }
+        const input = {type: theInput.type};
+        for (const field of INPUT_FIELDS[theInput.type]) {
+            input[field] = theInput[field];
+        }
+        this._inputs.push([theTick, input]);
+    }
+
+    /**
+     * Ends the recording.
+     * @param {number} theTicks - How many ticks it lasted.
+     * @param {number} theX - The camera's x-coordinate at the end.
+     * @param {number} theY - The camera's y-coordinate at the end.
+     * @param {number} theAngle - The camera's angle at the end, in radians.
+     */
+    finish(theTicks, theX, theY, theAngle) {
+        this._end = {ticks: theTicks, x: theX, y: theY, angle: theAngle};
+    }
+
+    /** Goes back to the start, so that inputsAt replays from tick 0. */
+    rewind() {
+        this._next = 0;
+    }
+
+    /**
+     * Gets the input given on a tick. Ticks must be asked for in order,
+     * starting after a rewind.
+     * @param {number} theTick - The tick.
+     * @returns {Object[]} The inputs given on the tick, in order.
+     */
+    inputsAt(theTick) {
+        const rv = [];
+        while (this._next < this._inputs.length &&
+                this._inputs[this._next][0] <= theTick) {
+            if (this._inputs[this._next][0] === theTick) {
+                rv.push({...this._inputs[this._next][1]});
+            }
+            this._next++;
+        }
+        return rv;
+    }
+
+    /**
+     * @param {number} theX - The camera's x-coordinate.
+     * @param {number} theY - The camera's y-coordinate.
+     * @param {number} theAngle - The camera's angle in radians.
+     * @returns {boolean} Whether the camera is exactly where it was when the
+     * recording ended.
+     */
+    matches(theX, theY, theAngle) {
+        return this._end !== null && this._end.x === theX &&
+               this._end.y === theY && this._end.angle === theAngle;
+    }
+
+    /** @returns {number|string} The seed of the generated mazes. */
+    get seed() {
+        return this._seed;
+    }
+
+    /** @returns {number} The level number. */
+    get level() {
+        return this._level;
+    }
+
+    /** @returns {Object} A copy of the mouse look settings. */
+    get mouse() {
+        return {...this._mouse};
+    }
+
+    /** @returns {number} How many ticks it lasted, or null if unfinished. */
+    get ticks() {
+        return this._end === null ? null : this._end.ticks;
+    }
+
+    /**
+     * @returns {Object} The recording as plain data that can be saved or sent
+     * to a worker and read back with fromJSON.
+     */
+    toJSON() {
+        return {seed: this._seed, level: this._level, mouse: {...this._mouse},
+                inputs: this._inputs.map(([theTick, theInput]) => {
+                    return [theTick, {...theInput}];
+                }),
+                end: this._end === null ? null : {...this._end}};
+    }
+}
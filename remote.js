@@ -0,0 +1,189 @@
+/**
+ * @file Contains the stand-in the page uses for a game that runs in a Web
+ * Worker (see worker.js).
+ * @author Marcus Bartlett
+ */
+
+import { Bindings } from "./input.js";
+import { Recording } from "./record.js";
+import { warn } from "./log.js";
+
+/**
+ * Describes a game running in a Web Worker that owns the canvas. It has the
+ * same methods as Game that the page uses, and passes everything on to the
+ * worker.
+ */
+export class RemoteGame {
+    /**
+     * Constructs a RemoteGame instance, handing the canvas over to a new
+     * worker. The canvas can't be drawn on from the page after this.
+     * @param {HTMLCanvasElement} theCanvas - The canvas to draw on.
+     * @param {Object} theTextures - The loaded textures (see loadTextures in
+     * materials.js).
+     * @param {number|string} theSeed - The seed of the generated mazes, or
+     * undefined for a random one.
+     * @param {Array} theLevels - Levels to play before the generated mazes.
+     */
+    constructor(theCanvas, theTextures, theSeed, theLevels = []) {
+        if (!RemoteGame.supported(theCanvas)) {
+            throw new Error("This browser can't draw from a worker.");
+        } else {
+            /** The worker the game runs in. */
+            this._worker = new Worker(new URL("./worker.js", import.meta.url),
+                                      {type: "module"});
+            /** The canvas the worker draws on. */
+            this._canvas = theCanvas.transferControlToOffscreen();
+            /** The textures, until they're sent to the worker. */
+            this._textures = theTextures;
+            /** The seed of the generated mazes. */
+            this._seed = theSeed;
+            /** The levels to play before the generated ones. */
+            this._levels = theLevels;
+            /**
+             * The same bindings as the worker's, to tell which keys the page
+             * should ignore.
+             */
+            this._bindings = new Bindings();
+            /**
+             * The restores waiting to hear back from the worker, oldest
+             * first, each as the {resolve, reject} of its promise.
+             */
+            this._restores = [];
+        }
+    }
+
+    /**
+     * @param {HTMLCanvasElement} theCanvas - The canvas to draw on.
+     * @returns {boolean} Whether the browser can draw on the canvas from a
+     * worker.
+     */
+    static supported(theCanvas) {
+        return typeof Worker === "function" &&
+               typeof OffscreenCanvas === "function" &&
+               typeof theCanvas.transferControlToOffscreen === "function";
+    }
+
+    /**
+     * Starts the game in the worker.
+     * @param {Function} theListener - Called with each level's settings (see
+     * level.js) when the level starts, so that the page can show them.
+     * @param {Function} theSaver - Called with the game's state every so
+     * often so that the page can save it (see Game.start).
+     * @param {Function} theRecorder - Called with each recording when it's
+     * finished.
+     */
+    start(theListener = () => {}, theSaver = () => {},
+          theRecorder = () => {}) {
+        this._worker.addEventListener("message", (theEvent) => {
+            const message = theEvent.data;
+            if (message.type === "settings") {
+                theListener(message.settings);
+            } else if (message.type === "state") {
+                theSaver(message.state);
+            } else if (message.type === "recording") {
+                theRecorder(Recording.fromJSON(message.recording));
+            } else if (message.type === "error") {
+                window.alert(message.message);
+            } else if (message.type === "warning") {
+                warn(message.message);
+            } else if (message.type === "restored") {
+                const restore = this._restores.shift();
+                if (message.error === null) {
+                    restore.resolve();
+                } else {
+                    restore.reject(new Error(message.error));
+                }
+            }
+        });
+        this._worker.postMessage({type: "start", canvas: this._canvas,
+                                  textures: this._textures, seed: this._seed,
+                                  levels: this._levels}, [this._canvas]);
+        this._textures = null;
+    }
+
+    /**
+     * Handles input by passing the key on to the worker.
+     * @param {KeyboardEvent} theEvent - The event that this function is
+     * handling.
+     * @param {boolean} theBool - Whether the key was pressed (true) or released
+     * (false).
+     */
+    handleInput(theEvent, theBool) {
+        // The worker can't prevent the default, so decide here.
+        if (this._bindings.actionFor(theEvent.key) !== null) {
+            theEvent.preventDefault();
+        }
+        this._worker.postMessage({type: "key", key: theEvent.key,
+                                  repeat: theEvent.repeat, down: theBool});
+    }
+
+    /**
+     * Handles an action by passing it on to the worker (see
+     * Game.handleAction).
+     * @param {string} theAction - The action (see ACTIONS in input.js).
+     * @param {boolean} theBool - Whether it started (true) or stopped (false).
+     * @param {boolean} theRepeat - Whether it's a repeat of one that started.
+     */
+    handleAction(theAction, theBool, theRepeat = false) {
+        this._worker.postMessage({type: "action", action: theAction,
+                                  down: theBool, repeat: theRepeat});
+    }
+
+    /**
+     * Moves and turns the camera with analog input (see Camera.steer).
+     * @param {string} theSource - The name of the source, like "gamepad".
+     * @param {number} theForward - How far forward (1) or back (-1).
+     * @param {number} theStrafe - How far right (1) or left (-1).
+     * @param {number} theTurn - How far to turn right (1) or left (-1).
+     */
+    steer(theSource, theForward, theStrafe, theTurn) {
+        this._worker.postMessage({type: "steer", source: theSource,
+                                  forward: theForward, strafe: theStrafe,
+                                  turn: theTurn});
+    }
+
+    /**
+     * Turns the camera by a mouse movement.
+     * @param {number} theDx - How far the mouse moved right in pixels.
+     */
+    look(theDx) {
+        this._worker.postMessage({type: "look", dx: theDx});
+    }
+
+    /**
+     * Replays a recording from the start of its level (see Game.replay).
+     * The worker warns about recordings it can't replay.
+     * @param {Recording} theRecording - The recording.
+     */
+    replay(theRecording) {
+        this._worker.postMessage({type: "replay",
+                                  recording: theRecording.toJSON()});
+    }
+
+    /**
+     * Picks the game up again from a state (see Game.restore).
+     * @param {Object} theState - The state.
+     * @returns {Promise} Resolves once the worker has restored the state, or
+     * rejects if it couldn't.
+     */
+    restore(theState) {
+        return new Promise((theResolve, theReject) => {
+            this._restores.push({resolve: theResolve, reject: theReject});
+            this._worker.postMessage({type: "restore", state: theState});
+        });
+    }
+
+    /**
+     * Changes one of the settings the page has inputs for (see
+     * Game.changeSetting).
+     * @param {string} theName - The setting's name.
+     * @param {number|boolean} theValue - The setting's new value.
+     */
+    changeSetting(theName, theValue) {
+        if (theName === "bindings") {
+            this._bindings = new Bindings(theValue);
+        }
+        this._worker.postMessage({type: "setting", name: theName,
+                                  value: theValue});
+    }
+}
@@ -0,0 +1,697 @@
+/**
+ * @file Contains the renderer, which draws the first-person view of a world
+ * into a plain buffer of pixels. It doesn't touch the DOM, so it runs outside
+ * a browser too, for reference images and tests.
+ * @author Marcus Bartlett
+ */
+
+import { Ray } from "./ray.js";
+import { Shading, packColor } from "./shading.js";
+import { tileBlocks } from "./materials.js";
+
+/**
+ * How brightly each face of a wall is drawn in solid colors, indexed by face
+ * (see Ray.seekCollision), so that the faces can be told apart.
+ */
+export const FACE_SHADES = [0.4, 0.6, 0.8, 1];
+
+/**
+ * How brightly each face of a wall is drawn with textures. The textures have
+ * detail of their own, so the difference between faces is subtler.
+ */
+export const TEXTURE_FACE_SHADES = [0.7, 0.8, 0.9, 1];
+
+/** The color of the sky above the horizon. */
+export const SKY_COLOR = "#00aaff";
+
+/** The color of the ground below the horizon. */
+export const GROUND_COLOR = "#aaaaaa";
+
+/**
+ * How brightly every other floor and ceiling tile is drawn in solid colors, so
+ * that movement is easy to see.
+ */
+export const CHECKER_SHADE = 0.85;
+
+/** The maximum allowed length of the ray in tiles. */
+export const DRAW_DISTANCE = 16;
+
+/** How high, in tiles, the eye is above the floor the camera stands on. */
+export const EYE_HEIGHT = 0.5;
+
+/** How high, in tiles, the ceiling is above the ground. */
+export const CEILING_HEIGHT = 1;
+
+/** How close, in tiles, a sprite can be before it's no longer drawn. */
+export const SPRITE_NEAR = 0.1;
+
+/** The radius, in tiles, of the breadcrumbs that mark a path on the floor. */
+const CRUMB_RADIUS = 0.12;
+
+/** The color of the breadcrumbs, which glow rather than being lit. */
+const CRUMB_COLOR = "#ffd040";
+
+/** The alpha below which a sprite's pixels are left out. */
+const ALPHA_CUTOFF = 128;
+
+/**
+ * The alpha, out of 255, of see-through walls drawn in solid colors, which
+ * have no texture to say which parts can be seen through.
+ */
+const SEE_THROUGH_ALPHA = 96;
+
+/** Describes a renderer that draws into a buffer of pixels. */
+export class Renderer {
+    /**
+     * Constructs a Renderer instance.
+     * @param {Object} theTextures - The wall materials, floor and ceiling
+     * flats and sprites, laid out like the result of loadTextures in
+     * materials.js except that every texture and sprite frame is raw pixels:
+     * {width, height, pixels}, with one 32-bit RGBA (little-endian ABGR) value
+     * per pixel, or null to use the solid color.
+     */
+    constructor(theTextures) {
+        if (theTextures === null || typeof theTextures !== "object" ||
+                !Array.isArray(theTextures.materials) ||
+                !Array.isArray(theTextures.flats) ||
+                theTextures.sprites === null ||
+                typeof theTextures.sprites !== "object") {
+            throw new Error("Renderer must be passed textures.");
+        } else {
+            /** The wall materials, indexed by tile value. */
+            this._materials = theTextures.materials;
+            /** The solid color of each material, as a pixel. */
+            this._colors = theTextures.materials.map((theMaterial) => {
+                return theMaterial === null ? null :
+                       packColor(theMaterial.color, 1);
+            });
+            /** The floor and ceiling flats, indexed by flat value. */
+            this._flats = theTextures.flats;
+            /** The two checkered solid colors of each flat, as pixels. */
+            this._flat_colors = theTextures.flats.map((theFlat) => {
+                return theFlat === null ? null :
+                       [packColor(theFlat.color, 1),
+                        packColor(theFlat.color, CHECKER_SHADE)];
+            });
+            /** The sprites, keyed by type. */
+            this._sprites = theTextures.sprites;
+            /** Whether to draw textures (true) or solid colors (false). */
+            this._textured = true;
+            /** The width of the framebuffer in pixels. */
+            this._width = 0;
+            /** The height of the framebuffer in pixels. */
+            this._height = 0;
+            /** The framebuffer. */
+            this._pixels = new Uint32Array(0);
+            /** The perpendicular distance to the wall in each column. */
+            this._depth = new Float64Array(0);
+            /** Where each column's ray ends, as [x, y]. */
+            this._ends = [];
+            /** The face of the wall in each column, or -1 if there's none. */
+            this._faces = new Int8Array(0);
+            /**
+             * What's covered in each column by the walls and raised floors
+             * drawn in it, as a flat list of depth and row pairs, nearest
+             * first: everything farther than the depth is hidden from the row
+             * down.
+             */
+            this._clips = [];
+            /**
+             * The faces of see-through walls in each column that are still to
+             * be drawn, nearest first (see drawLayers).
+             */
+            this._layers = [];
+        }
+    }
+
+    /**
+     * Draws a view of a world.
+     * @param {World} theWorld - The world to draw.
+     * @param {Object} theView - The view as {x, y, theta, fov, width, height,
+     * time}: the camera's position, its angle in radians, the FOV in degrees,
+     * the size of the image in pixels, the time in seconds (for animated
+     * sprites, which defaults to 0) and optionally a path of [x, y] tiles to
+     * mark with breadcrumbs on the floor.
+     * @returns {Object} The image as {width, height, pixels, data, depth,
+     * ends, faces}, where pixels holds one 32-bit RGBA (little-endian ABGR)
+     * value per pixel, data holds the same bytes as an RGBA array that can be
+     * put in an ImageData, depth holds the perpendicular distance to the wall
+     * in each column (Infinity if there isn't one), ends holds where each
+     * column's ray stopped and faces holds the face of the tile it hit (-1 if
+     * none, or if it hit a segment). A ray carries on past walls too low to
+     * hide what's behind them and past see-through walls, so it stops at the
+     * wall that fills the rest of its column, if any. The buffers are reused
+     * by the next render of the same size.
+     */
+    render(theWorld, theView) {
+        const w = theView.width;
+        const h = theView.height;
+        if (!Number.isInteger(w) || !Number.isInteger(h) || w <= 0 ||
+                h <= 0) {
+            throw new Error("Renderer.render passed an invalid size.");
+        } else if (typeof theView.fov !== "number" || theView.fov <= 0 ||
+                theView.fov >= 180) {
+            throw new Error("Renderer.render passed an invalid FOV.");
+        }
+        if (w !== this._width || h !== this._height) {
+            this._width = w;
+            this._height = h;
+            this._pixels = new Uint32Array(w * h);
+            this._depth = new Float64Array(w);
+            this._ends = new Array(w);
+            this._faces = new Int8Array(w);
+            this._clips = new Array(w);
+            this._layers = new Array(w);
+        }
+        const shading = new Shading(theWorld.settings);
+        const fov_r = theView.fov * Math.PI / 180;
+        const vp_disp = 1 / (2 * Math.tan(fov_r / 2));
+        this.drawFlats(theWorld, theView, shading, fov_r, vp_disp);
+        this.drawWalls(theWorld, theView, shading, fov_r, vp_disp);
+        this.drawSprites(theWorld, theView, shading, fov_r, vp_disp);
+        for (let i = 0; i < w; i++) {
+            this.drawLayers(theWorld, shading, i, 0);
+        }
+        return {width: w, height: h, pixels: this._pixels,
+                data: new Uint8ClampedArray(this._pixels.buffer),
+                depth: this._depth, ends: this._ends, faces: this._faces};
+    }
+
+    /**
+     * Casts a ray for each column and draws the walls and raised floors it
+     * hits, nearest first, until the column is covered as high as anything
+     * behind could reach. See-through walls are kept for later (see
+     * drawLayers).
+     * @param {World} theWorld - The world to draw.
+     * @param {Object} theView - The view (see render).
+     * @param {Shading} theShading - The world's light and fog.
+     * @param {number} theFovR - The FOV in radians.
+     * @param {number} theVpDisp - The viewport's distance from the camera
+     * relative to the screen's width.
+     */
+    drawWalls(theWorld, theView, theShading, theFovR, theVpDisp) {
+        const w = this._width;
+        const cos = Math.cos(theView.theta);
+        const sin = Math.sin(theView.theta);
+        const ray = new Ray(theView.x, theView.y, theView.theta, theWorld,
+                            DRAW_DISTANCE);
+        // Half of a wall's height, in pixels, times its distance.
+        const k = w * Math.PI / (8 * theFovR);
+        const eye = EYE_HEIGHT + theWorld.elevationAt(theView.x, theView.y);
+        for (let i = 0; i < w; i++) {
+            const angle = Math.atan((i - 0.5 * w) / (theVpDisp * w));
+            ray.theta = angle + theView.theta;
+            // How far across the view plane the column is, relative to its
+            // depth.
+            const across = (i - 0.5 * w) / (theVpDisp * w);
+            const column = {i: i, k: k, eye: eye, x: theView.x, y: theView.y,
+                            dx: cos - sin * across, dy: sin + cos * across,
+                            clip: this._height, clips: [], layers: []};
+            let last = null;
+            ray.seekCollisions(theView.theta, (theHit) => {
+                this.drawHit(theWorld, theShading, column, theHit);
+                // Nothing farther away reaches higher than the tallest thing
+                // in the world, which is always above the eye.
+                const bound = this._height / 2 -
+                              (theWorld.tallest - eye) * 2 * k / theHit.depth;
+                const done = column.clip <= 0 ||
+                             column.clip <= Math.ceil(bound - 0.5);
+                if (done) {
+                    last = theHit;
+                }
+                return done;
+            });
+            this._clips[i] = column.clips;
+            this._layers[i] = column.layers;
+            if (last === null) {
+                this._depth[i] = Infinity;
+                this._faces[i] = -1;
+                this._ends[i] = [
+                        theView.x + DRAW_DISTANCE * Math.cos(ray.theta),
+                        theView.y + DRAW_DISTANCE * Math.sin(ray.theta)];
+            } else {
+                this._depth[i] = last.depth;
+                this._faces[i] = last.tile === 0 || last.segment !== null ?
+                                 -1 : last.face;
+                this._ends[i] = [last.x, last.y];
+            }
+        }
+    }
+
+    /**
+     * A helper function that draws what a ray hit in one column: the face it
+     * hit, from the ground to the top of the tile or segment, and the top
+     * itself as far as the ray leaves the tile if it's lower than the eye.
+     * Rows already covered by something nearer are left alone. The face of a
+     * see-through wall is only kept in the column's layers, since what's
+     * behind it hasn't been drawn yet, and it has no top. There's no face
+     * between two see-through tiles of the same material, so that a row of
+     * them looks like one window.
+     * @param {World} theWorld - The world to draw.
+     * @param {Shading} theShading - The world's light and fog.
+     * @param {Object} theColumn - The column as {i, k, eye, x, y, dx, dy,
+     * clip, clips, layers}: its index, half of a wall's height in pixels
+     * times its distance, the eye's height, the camera's position, how far a
+     * point in the column moves per unit of depth, the first row that's
+     * covered, the column's clips (see _clips) and its layers (see _layers),
+     * which are updated.
+     * @param {Object} theHit - The hit (see Ray.seekCollisions).
+     */
+    drawHit(theWorld, theShading, theColumn, theHit) {
+        const h = this._height;
+        let top = 0;
+        if (theHit.segment !== null) {
+            top = theHit.segment.height;
+        } else if (theHit.face < 0) {
+            top = theWorld.elevationAt(theHit.tx, theHit.ty);
+        } else {
+            top = theWorld.topAt(theHit.tx, theHit.ty);
+        }
+        // How many pixels high one tile is at the hit's depth.
+        const unit = 2 * theColumn.k / theHit.depth;
+        const face_top = h / 2 - (top - theColumn.eye) * unit;
+        const start = Math.max(0, Math.ceil(face_top - 0.5));
+        const end = Math.min(theColumn.clip,
+                             Math.ceil(face_top + top * unit - 0.5));
+        if (theHit.face >= 0 && seesThrough(theHit.tile)) {
+            if (!enteredFromSame(theWorld, theHit)) {
+                theColumn.layers.push({hit: theHit, top: top,
+                                       face_top: face_top, unit: unit,
+                                       start: start, end: end});
+            }
+        } else {
+            if (theHit.face >= 0) {
+                this.drawFace(theWorld, theShading, theColumn.i, theHit, top,
+                              face_top, unit, start, end);
+            }
+            theColumn.clip = Math.min(theColumn.clip, start);
+            theColumn.clips.push(theHit.depth, theColumn.clip);
+            // Segments have no thickness, so there's no top to draw.
+            if (top < theColumn.eye && theHit.segment === null) {
+                const far = Math.max(0, Math.ceil(h / 2 +
+                        (theColumn.eye - top) * 2 * theColumn.k / theHit.exit -
+                        0.5));
+                this.drawTop(theWorld, theShading, theColumn, theHit, top,
+                             far);
+                theColumn.clip = Math.min(theColumn.clip, far);
+                theColumn.clips.push(theHit.exit, theColumn.clip);
+            }
+        }
+    }
+
+    /**
+     * A helper function that draws the rows of a face that a ray hit: the
+     * side of a wall, or the riser of a raised floor in the floor's flat.
+     * Textures repeat every tile down from the top. See-through walls are
+     * mixed with what's already drawn by their textures' alpha.
+     * @param {World} theWorld - The world to draw.
+     * @param {Shading} theShading - The world's light and fog.
+     * @param {number} theI - The column.
+     * @param {Object} theHit - The hit (see Ray.seekCollisions).
+     * @param {number} theTop - The height of the top of the face in tiles.
+     * @param {number} theFaceTop - The row, unrounded, of the top of the face.
+     * @param {number} theUnit - How many pixels high a tile is at the hit.
+     * @param {number} theStart - The first row to draw.
+     * @param {number} theEnd - The row after the last one to draw.
+     */
+    drawFace(theWorld, theShading, theI, theHit, theTop, theFaceTop, theUnit,
+             theStart, theEnd) {
+        const w = this._width;
+        const pixels = this._pixels;
+        const fog = theShading.fogAt(theHit.depth);
+        const see_through = seesThrough(theHit.tile);
+        let texture = null;
+        let color = 0;
+        if (theHit.tile !== 0) {
+            texture = this._textured ?
+                      this._materials[theHit.tile].textures[theHit.face] : null;
+            color = this._colors[theHit.tile];
+        } else {
+            const flat = theWorld.floorAt(theHit.tx, theHit.ty);
+            texture = this._textured && flat !== 0 ?
+                      this._flats[flat].texture : null;
+            color = flat === 0 ? packColor(GROUND_COLOR, 1) :
+                    this._flat_colors[flat][0];
+        }
+        if (texture !== null) {
+            const brightness = theShading.brightness(
+                    TEXTURE_FACE_SHADES[theHit.face]);
+            const u = Math.min(texture.width - 1,
+                               Math.floor(theHit.u * texture.width));
+            const step = texture.height / theUnit;
+            const last = Math.ceil(theTop * texture.height) - 1;
+            for (let row = theStart; row < theEnd; row++) {
+                const v = Math.min(last, Math.floor(
+                        (row + 0.5 - theFaceTop) * step)) % texture.height;
+                const texel = texture.pixels[v * texture.width + u];
+                const index = row * w + theI;
+                if (see_through) {
+                    pixels[index] = blendPixel(theShading.mixPixel(
+                            (texel | 0xff000000) >>> 0, brightness, fog),
+                            pixels[index], texel >>> 24);
+                } else {
+                    pixels[index] = theShading.mixPixel(texel, brightness,
+                                                        fog);
+                }
+            }
+        } else {
+            const shaded = theShading.mixPixel(color,
+                    theShading.brightness(FACE_SHADES[theHit.face]), fog);
+            for (let row = theStart; row < theEnd; row++) {
+                const index = row * w + theI;
+                pixels[index] = see_through ? blendPixel(shaded, pixels[index],
+                                                         SEE_THROUGH_ALPHA) :
+                                shaded;
+            }
+        }
+    }
+
+    /**
+     * A helper function that draws the faces of see-through walls still to
+     * be drawn in a column that are farther away than a depth, farthest
+     * first, so that each shows what's behind it. Sprites call it before
+     * drawing each column, and the rest are drawn once they're done.
+     * @param {World} theWorld - The world to draw.
+     * @param {Shading} theShading - The world's light and fog.
+     * @param {number} theI - The column.
+     * @param {number} theDepth - The depth to draw the faces beyond.
+     */
+    drawLayers(theWorld, theShading, theI, theDepth) {
+        const layers = this._layers[theI];
+        while (layers.length > 0 &&
+                layers[layers.length - 1].hit.depth > theDepth) {
+            const layer = layers.pop();
+            this.drawFace(theWorld, theShading, theI, layer.hit, layer.top,
+                          layer.face_top, layer.unit, layer.start, layer.end);
+        }
+    }
+
+    /**
+     * A helper function that draws the top of a wall or raised floor that's
+     * lower than the eye, like a floor, from the row where the ray leaves
+     * its tile down to the first covered row.
+     * @param {World} theWorld - The world to draw.
+     * @param {Shading} theShading - The world's light and fog.
+     * @param {Object} theColumn - The column (see drawHit).
+     * @param {Object} theHit - The hit (see Ray.seekCollisions).
+     * @param {number} theTop - The height of the top in tiles.
+     * @param {number} theFrom - The first row to draw.
+     */
+    drawTop(theWorld, theShading, theColumn, theHit, theTop, theFrom) {
+        const w = this._width;
+        const h = this._height;
+        const brightness = theShading.brightness(1);
+        const flat = theWorld.floorAt(theHit.tx, theHit.ty);
+        const ground = packColor(GROUND_COLOR, 1);
+        // The top of a wall looks like its first face, seen from above.
+        const texture = theHit.tile !== 0 && this._textured ?
+                        this._materials[theHit.tile].textures[0] : null;
+        for (let row = theFrom; row < theColumn.clip; row++) {
+            const depth = (theColumn.eye - theTop) * 2 * theColumn.k /
+                          Math.max(row + 0.5 - h / 2, 0.5);
+            const x = theColumn.x + depth * theColumn.dx;
+            const y = theColumn.y + depth * theColumn.dy;
+            let pixel = 0;
+            if (theHit.tile === 0) {
+                pixel = this.flatPixel(flat, x, y, ground);
+            } else if (texture !== null) {
+                const u = Math.floor((x - Math.floor(x)) * texture.width);
+                const v = Math.floor((y - Math.floor(y)) * texture.height);
+                pixel = texture.pixels[v * texture.width + u];
+            } else {
+                pixel = this._colors[theHit.tile];
+            }
+            this._pixels[row * w + theColumn.i] = theShading.mixPixel(pixel,
+                    brightness, theShading.fogAt(depth));
+        }
+    }
+
+    /**
+     * Casts the floor and ceiling a pixel at a time, along with the sky and
+     * ground where there are no flats.
+     * @param {World} theWorld - The world to draw.
+     * @param {Object} theView - The view (see render).
+     * @param {Shading} theShading - The world's light and fog.
+     * @param {number} theFovR - The FOV in radians.
+     * @param {number} theVpDisp - The viewport's distance from the camera
+     * relative to the screen's width.
+     */
+    drawFlats(theWorld, theView, theShading, theFovR, theVpDisp) {
+        const w = this._width;
+        const h = this._height;
+        const pixels = this._pixels;
+        const cos = Math.cos(theView.theta);
+        const sin = Math.sin(theView.theta);
+        const sky = packColor(SKY_COLOR, 1);
+        const ground = packColor(GROUND_COLOR, 1);
+        const brightness = theShading.brightness(1);
+        const crumb = packColor(CRUMB_COLOR, 1);
+        // The tiles with breadcrumbs, by index.
+        let crumbs = null;
+        if (Array.isArray(theView.path)) {
+            crumbs = new Set(theView.path.filter(([theX, theY]) => {
+                return theX >= 0 && theY >= 0 && theX < theWorld.width &&
+                       theY < theWorld.height;
+            }).map(([theX, theY]) => theY * theWorld.width + theX));
+        }
+        // Half of a wall's height, in pixels, times its distance; this matches
+        // the heights that drawWalls draws walls with.
+        const k = w * Math.PI / (8 * theFovR);
+        const eye = EYE_HEIGHT + theWorld.elevationAt(theView.x, theView.y);
+        // How far across the view plane each column is, relative to its depth.
+        const left = -0.5 / theVpDisp;
+        const step = 1 / (theVpDisp * w);
+        for (let row = Math.floor(h / 2); row < h; row++) {
+            // Each floor row mirrors a ceiling row, as far above the horizon
+            // as it is below.
+            const below = Math.max(row + 0.5 - h / 2, 0.5);
+            const depth = eye * 2 * k / below;
+            let x = theView.x + depth * (cos - sin * left);
+            let y = theView.y + depth * (sin + cos * left);
+            const dx = -depth * sin * step;
+            const dy = depth * cos * step;
+            const fog = theShading.fogAt(depth);
+            for (let i = 0; i < w; i++) {
+                pixels[row * w + i] = crumbs !== null &&
+                        onCrumb(crumbs, theWorld.width, x, y) ?
+                        theShading.mixPixel(crumb, 1, fog) :
+                        theShading.mixPixel(this.flatPixel(
+                                theWorld.floorAt(x, y), x, y, ground),
+                                brightness, fog);
+                x += dx;
+                y += dy;
+            }
+            const ceil_row = h - 1 - row;
+            const ceil_depth = (CEILING_HEIGHT - eye) * 2 * k / below;
+            if (ceil_depth <= 0) {
+                // The eye is above the ceiling, so there's only sky.
+                pixels.fill(sky, ceil_row * w, (ceil_row + 1) * w);
+                continue;
+            }
+            x = theView.x + ceil_depth * (cos - sin * left);
+            y = theView.y + ceil_depth * (sin + cos * left);
+            const ceil_dx = -ceil_depth * sin * step;
+            const ceil_dy = ceil_depth * cos * step;
+            const ceil_fog = theShading.fogAt(ceil_depth);
+            for (let i = 0; i < w; i++) {
+                // The sky is too far away to be lit or fogged.
+                const ceiling = theWorld.ceilingAt(x, y);
+                pixels[ceil_row * w + i] = ceiling === 0 ? sky :
+                        theShading.mixPixel(this.flatPixel(ceiling, x, y, sky),
+                                            brightness, ceil_fog);
+                x += ceil_dx;
+                y += ceil_dy;
+            }
+        }
+    }
+
+    /**
+     * A helper function that finds the color of a flat at a point.
+     * @param {number} theFlat - The flat's index, or 0 for none.
+     * @param {number} theX - The point's x-coordinate.
+     * @param {number} theY - The point's y-coordinate.
+     * @param {number} theNone - The pixel to use when there's no flat.
+     * @returns {number} The pixel as a 32-bit little-endian ABGR value.
+     */
+    flatPixel(theFlat, theX, theY, theNone) {
+        let rv = theNone;
+        if (theFlat !== 0) {
+            const texture = this._flats[theFlat].texture;
+            const tx = Math.floor(theX);
+            const ty = Math.floor(theY);
+            if (this._textured && texture !== null) {
+                const u = Math.floor((theX - tx) * texture.width);
+                const v = Math.floor((theY - ty) * texture.height);
+                rv = texture.pixels[v * texture.width + u];
+            } else {
+                rv = this._flat_colors[theFlat][(tx + ty) & 1];
+            }
+        }
+        return rv;
+    }
+
+    /**
+     * Draws the world's sprites as billboards from farthest to nearest,
+     * clipping each column against the walls and raised floors in front of
+     * them (see _clips). The see-through walls behind each sprite are drawn
+     * first, so that the ones in front are drawn over it.
+     * @param {World} theWorld - The world to draw.
+     * @param {Object} theView - The view (see render).
+     * @param {Shading} theShading - The world's light and fog.
+     * @param {number} theFovR - The FOV in radians.
+     * @param {number} theVpDisp - The viewport's distance from the camera
+     * relative to the screen's width.
+     */
+    drawSprites(theWorld, theView, theShading, theFovR, theVpDisp) {
+        const w = this._width;
+        const h = this._height;
+        const pixels = this._pixels;
+        const cos = Math.cos(theView.theta);
+        const sin = Math.sin(theView.theta);
+        const time = theView.time === undefined ? 0 : theView.time;
+        const brightness = theShading.brightness(1);
+        // Half of a wall's height, in pixels, times its distance.
+        const k = w * Math.PI / (8 * theFovR);
+        const eye = EYE_HEIGHT + theWorld.elevationAt(theView.x, theView.y);
+        const visible = [];
+        for (const sprite of theWorld.sprites) {
+            const dx = sprite.x - theView.x;
+            const dy = sprite.y - theView.y;
+            // Transform the sprite into the camera's space.
+            const depth = dx * cos + dy * sin;
+            const side = -dx * sin + dy * cos;
+            if (depth > SPRITE_NEAR) {
+                visible.push({sprite: sprite, depth: depth, side: side});
+            }
+        }
+        visible.sort((theA, theB) => theB.depth - theA.depth);
+        for (const {sprite, depth, side} of visible) {
+            const info = this._sprites[sprite.type];
+            const [direction, frame] = sprite.frame(theView.x, theView.y, time);
+            const image = info.frames[direction][frame];
+            const fog = theShading.fogAt(depth);
+            const height = 2 * k * info.size / depth;
+            const width = image === null ? height :
+                          height * image.width / image.height;
+            const center = w / 2 + (side / depth) * theVpDisp * w;
+            const left = center - width / 2;
+            // Sprites stand on the floor, which is (eye - elevation) * 2k /
+            // depth below the horizon.
+            const floor = theWorld.elevationAt(sprite.x, sprite.y);
+            const top = h / 2 + (eye - floor) * 2 * k / depth - height;
+            const start = Math.max(0, Math.ceil(left - 0.5));
+            const end = Math.min(w, Math.ceil(left + width - 0.5));
+            const row_start = Math.max(0, Math.ceil(top - 0.5));
+            const row_end = Math.min(h, Math.ceil(top + height - 0.5));
+            const color = theShading.mixPixel(packColor(info.color, 1),
+                                              brightness, fog);
+            for (let i = start; i < end; i++) {
+                this.drawLayers(theWorld, theShading, i, depth);
+                // Only the rows above whatever is nearer in this column show.
+                const clips = this._clips[i];
+                let clip = h;
+                for (let j = 0; j < clips.length && clips[j] < depth; j += 2) {
+                    clip = clips[j + 1];
+                }
+                const u = image === null ? 0 : Math.min(image.width - 1,
+                        Math.floor((i + 0.5 - left) / width * image.width));
+                for (let row = row_start; row < Math.min(row_end, clip);
+                        row++) {
+                    if (image === null) {
+                        pixels[row * w + i] = color;
+                    } else {
+                        const v = Math.min(image.height - 1, Math.floor(
+                                (row + 0.5 - top) / height * image.height));
+                        const pixel = image.pixels[v * image.width + u];
+                        if ((pixel >>> 24) >= ALPHA_CUTOFF) {
+                            pixels[row * w + i] = theShading.mixPixel(
+                                    (pixel | 0xff000000) >>> 0, brightness,
+                                    fog);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    /** @returns {boolean} Whether textures are drawn. */
+    get textured() {
+        return this._textured;
+    }
+
+    /** @param {boolean} theTextured - Whether to draw with textures. */
+    set textured(theTextured) {
+        if (typeof theTextured !== "boolean") {
+            throw new Error("Type must be boolean.");
+        } else {
+            this._textured = theTextured;
+        }
+    }
+}
+
+/**
+ * @param {number} theTile - A tile value, or 0 for empty.
+ * @returns {boolean} Whether it's a wall that can be seen through.
+ */
+function seesThrough(theTile) {
+    return theTile !== 0 && !tileBlocks(theTile, "sight");
+}
+
+/**
+ * @param {World} theWorld - The world.
+ * @param {Object} theHit - A hit on a face (see Ray.seekCollisions).
+ * @returns {boolean} Whether the ray came to the face from a tile with the
+ * same value as the one it hit.
+ */
+function enteredFromSame(theWorld, theHit) {
+    let rv = false;
+    if (theHit.segment === null) {
+        // The faces are named for the way the ray was moving (see
+        // Ray.seekCollision), so it came from the other side.
+        const dx = theHit.face === 0 ? 1 : (theHit.face === 2 ? -1 : 0);
+        const dy = theHit.face === 1 ? 1 : (theHit.face === 3 ? -1 : 0);
+        rv = theWorld.getTile(theHit.tx + dx, theHit.ty + dy) === theHit.tile;
+    }
+    return rv;
+}
+
+/**
+ * Mixes one pixel over another.
+ * @param {number} theOver - The opaque pixel on top.
+ * @param {number} theUnder - The opaque pixel beneath.
+ * @param {number} theAlpha - How much of the pixel on top shows, from 0 to
+ * 255.
+ * @returns {number} The opaque pixel as a 32-bit little-endian ABGR value.
+ */
+function blendPixel(theOver, theUnder, theAlpha) {
+    let rv = theUnder;
+    if (theAlpha === 255) {
+        rv = theOver;
+    } else if (theAlpha > 0) {
+        const a = theAlpha / 255;
+        const r = Math.round((theOver & 0xff) * a +
+                             (theUnder & 0xff) * (1 - a));
+        const g = Math.round(((theOver >> 8) & 0xff) * a +
+                             ((theUnder >> 8) & 0xff) * (1 - a));
+        const b = Math.round(((theOver >> 16) & 0xff) * a +
+                             ((theUnder >> 16) & 0xff) * (1 - a));
+        rv = ((255 << 24) | (b << 16) | (g << 8) | r) >>> 0;
+    }
+    return rv;
+}
+
+/**
+ * @param {Set} theCrumbs - The indices of the tiles with breadcrumbs.
+ * @param {number} theWidth - The world's width in tiles.
+ * @param {number} theX - The x-coordinate of a point on the floor.
+ * @param {number} theY - The y-coordinate of the point.
+ * @returns {boolean} Whether the point is on a breadcrumb, which sits in the
+ * middle of its tile.
+ */
+function onCrumb(theCrumbs, theWidth, theX, theY) {
+    const tx = Math.floor(theX);
+    const ty = Math.floor(theY);
+    return tx >= 0 && tx < theWidth && theCrumbs.has(ty * theWidth + tx) &&
+           (theX - tx - 0.5) ** 2 + (theY - ty - 0.5) ** 2 <
+           CRUMB_RADIUS ** 2;
+}
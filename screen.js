@@ -0,0 +1,24 @@
+/**
+ * @file Contains the limits and defaults of the screen's size and the field of
+ * view. They're kept apart from main.js so that the game can be loaded in a
+ * worker, where there's no page to set up.
+ * @author Marcus Bartlett
+ */
+
+/** The smallest allowed screen height or width in pixels. */
+export const SCREEN_MIN = 240;
+
+/** The largest allowed screen height or width in pixels. */
+export const SCREEN_MAX = 3840;
+
+/** The canvas's default width in pixels */
+export const SCREEN_WIDTH = 800;
+
+/** The canvas's default height in pixels. */
+export const SCREEN_HEIGHT = 600;
+
+/** The minimum allowed FOV in degrees. */
+export const FOV_MIN = 60;
+
+/** The maximum allowed FOV in degrees. */
+export const FOV_MAX = 90;
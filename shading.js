@@ -0,0 +1,124 @@
+/**
+ * @file Contains the class that works out how light and fog change the colors
+ * of things with distance, and helpers for working with colors.
+ * @author Marcus Bartlett
+ */
+
+/** The kinds of fog a level can have (see levels/README.md). */
+export const FOG_MODES = ["none", "linear", "exponential"];
+
+/** The color of fog when a level doesn't say. */
+const DEFAULT_FOG_COLOR = "#000000";
+
+/** The distance, in tiles, at which fog is thick when a level doesn't say. */
+const DEFAULT_FOG_DISTANCE = 12;
+
+/** The ambient light level when a level doesn't say. */
+const DEFAULT_LIGHT = 1;
+
+/**
+ * How quickly exponential fog thickens: at the fog distance only e to the
+ * minus this much of the original color is left (about 5%).
+ */
+const EXPONENTIAL_FALLOFF = 3;
+
+/** Describes the lighting and fog of a level. */
+export class Shading {
+    /**
+     * Constructs a Shading instance.
+     * @param {Object} theSettings - The level's settings, of which fog,
+     * fogColor, fogDistance and light are used.
+     */
+    constructor(theSettings = {}) {
+        if (theSettings === null || typeof theSettings !== "object") {
+            throw new Error("Shading must be passed an object.");
+        } else if (theSettings.fog !== undefined &&
+                !FOG_MODES.includes(theSettings.fog)) {
+            throw new Error(`Unknown fog '${theSettings.fog}'.`);
+        } else {
+            /** The kind of fog. */
+            this._fog = theSettings.fog === undefined ? "none" :
+                        theSettings.fog;
+            /** The fog's red, green and blue channels. */
+            this._fog_channels = shadeChannels(
+                    theSettings.fogColor === undefined ? DEFAULT_FOG_COLOR :
+                                                         theSettings.fogColor,
+                    1);
+            /** The distance in tiles at which the fog is thick. */
+            this._fog_distance = theSettings.fogDistance === undefined ?
+                                 DEFAULT_FOG_DISTANCE : theSettings.fogDistance;
+            /** The ambient light level from 0 (black) to 1 (full). */
+            this._light = theSettings.light === undefined ? DEFAULT_LIGHT :
+                          theSettings.light;
+        }
+    }
+
+    /**
+     * @param {number} theDist - A distance in tiles.
+     * @returns {number} How much of a color at that distance is replaced by
+     * the fog's, from 0 to 1.
+     */
+    fogAt(theDist) {
+        let rv = 0;
+        if (this._fog === "linear") {
+            rv = Math.min(1, theDist / this._fog_distance);
+        } else if (this._fog === "exponential") {
+            rv = 1 - Math.exp(-EXPONENTIAL_FALLOFF * theDist /
+                              this._fog_distance);
+        }
+        return rv;
+    }
+
+    /**
+     * @param {number} theShade - How brightly the surface is lit, like a
+     * wall's face, before the ambient light.
+     * @returns {number} The factor to multiply the surface's colors by.
+     */
+    brightness(theShade) {
+        return this._light * theShade;
+    }
+
+    /**
+     * Lights a pixel and mixes it with the fog.
+     * @param {number} thePixel - A 32-bit little-endian ABGR value.
+     * @param {number} theBrightness - The factor to multiply it by.
+     * @param {number} theFog - How much of it the fog replaces.
+     * @returns {number} The opaque pixel.
+     */
+    mixPixel(thePixel, theBrightness, theFog) {
+        let rv = thePixel;
+        if (theBrightness !== 1 || theFog !== 0) {
+            const keep = theBrightness * (1 - theFog);
+            const [fog_r, fog_g, fog_b] = this._fog_channels;
+            const r = Math.min(255, (thePixel & 0xff) * keep + fog_r * theFog);
+            const g = Math.min(255,
+                    ((thePixel >> 8) & 0xff) * keep + fog_g * theFog);
+            const b = Math.min(255,
+                    ((thePixel >> 16) & 0xff) * keep + fog_b * theFog);
+            rv = ((255 << 24) | (b << 16) | (g << 8) | r) >>> 0;
+        }
+        return rv;
+    }
+}
+
+/**
+ * Darkens or lightens a color and packs it into a pixel.
+ * @param {string} theColor - A color in the form "#rrggbb".
+ * @param {number} theShade - The factor to multiply each channel by.
+ * @returns {number} The opaque pixel as a 32-bit little-endian ABGR value.
+ */
+export function packColor(theColor, theShade) {
+    const [r, g, b] = shadeChannels(theColor, theShade);
+    return ((255 << 24) | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+/**
+ * @param {string} theColor - A color in the form "#rrggbb".
+ * @param {number} theShade - The factor to multiply each channel by.
+ * @returns {number[]} The shaded red, green and blue channels.
+ */
+function shadeChannels(theColor, theShade) {
+    const value = parseInt(theColor.slice(1), 16);
+    return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff].map(
+            (theChannel) => Math.min(255, Math.round(theChannel * theShade)));
+}
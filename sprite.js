@@ -0,0 +1,91 @@
+/**
+ * @file Contains the sprite class, which describes an object standing in the
+ * world that is drawn as a billboard facing the camera.
+ * @author Marcus Bartlett
+ */
+
+import { SPRITES } from "./materials.js";
+
+/** Describes a sprite: an item, marker or decoration at a world position. */
+export class Sprite {
+    /**
+     * Constructs a sprite.
+     * @param {string} theType - The sprite's type (a key of SPRITES).
+     * @param {number} theX - The x-coordinate of the sprite's center.
+     * @param {number} theY - The y-coordinate of the sprite's center.
+     * @param {number} theAngle - The angle, in radians, that the sprite's
+     * front faces. Only matters for sprites with directional frames.
+     */
+    constructor(theType, theX, theY, theAngle = 0) {
+        if (!(theType in SPRITES)) {
+            throw new Error(`Unknown sprite type '${theType}'.`);
+        } else if (typeof theX !== "number" || typeof theY !== "number" ||
+                typeof theAngle !== "number") {
+            throw new Error("Sprite passed non-numeric position or angle.");
+        } else {
+            /** The sprite's type. */
+            this._type = theType;
+            /** The sprite's x-coordinate. */
+            this._x = theX;
+            /** The sprite's y-coordinate. */
+            this._y = theY;
+            /** The angle the sprite's front faces in radians. */
+            this._angle = theAngle;
+        }
+    }
+
+    /**
+     * Picks which of the sprite's frames to draw.
+     * @param {number} theX - The x-coordinate of the viewer.
+     * @param {number} theY - The y-coordinate of the viewer.
+     * @param {number} theTime - The time, in seconds, used for animation.
+     * @returns {number[]} The direction and the animation frame, as indices
+     * into the sprite's frames (see SPRITES).
+     */
+    frame(theX, theY, theTime) {
+        const info = SPRITES[this._type];
+        const directions = info.frames.length;
+        let direction = 0;
+        if (directions > 1) {
+            const slice = 2 * Math.PI / directions;
+            const seen = Math.atan2(theY - this._y, theX - this._x) - 
+                         this._angle;
+            direction = ((Math.round(seen / slice) % directions) + 
+                         directions) % directions;
+        }
+        const frames = info.frames[direction].length;
+        const frame = Math.floor(theTime * info.fps) % frames;
+        return [direction, frame];
+    }
+
+    /** @returns {boolean} Whether the sprite has more than one frame. */
+    get animated() {
+        return SPRITES[this._type].fps > 0 && 
+               SPRITES[this._type].frames.some((theD) => theD.length > 1);
+    }
+
+    /** @returns {string} The sprite's type. */
+    get type() {
+        return this._type;
+    }
+
+    /** @returns {string} The sprite's kind: item, marker or decoration. */
+    get kind() {
+        return SPRITES[this._type].kind;
+    }
+
+    /** @returns {number} The sprite's x-coordinate. */
+    get x() {
+        return this._x;
+    }
+
+    /** @returns {number} The sprite's y-coordinate. */
+    get y() {
+        return this._y;
+    }
+
+    /** @returns {number} The angle the sprite's front faces in radians. */
+    get angle() {
+        return this._angle;
+    }
+}
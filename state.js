@@ -0,0 +1,123 @@
+/**
+ * @file Contains the saving and loading of the game's state (see Game.state),
+ * both in the browser, so that a game picks up where it left off, and in the
+ * URL's hash, so that a view can be shared.
+ * @author Marcus Bartlett
+ */
+
+import { warn } from "./log.js";
+
+/** The localStorage key that the game's state is saved under. */
+const STORAGE_KEY = "raycaster.state";
+
+/**
+ * How each field of the state is written in a URL's hash: as a "string", a
+ * "number", a "boolean" (1 or 0), a "list" of strings separated by commas or
+ * a list of "tuples" of numbers, each written like x,y and separated by
+ * semicolons.
+ */
+const HASH_FIELDS = {seed: "string", level: "number", x: "number",
+                     y: "number", angle: "number", fov: "number",
+                     width: "number", height: "number", textured: "boolean",
+                     time: "number", inventory: "list", taken: "tuples",
+                     seen: "string", pushed: "tuples"};
+
+/**
+ * Saves the game's state in the browser.
+ * @param {Object} theState - The game's state.
+ * @param {string[]} theLevels - The paths of the level files being played,
+ * which the state only makes sense with.
+ */
+export function saveState(theState, theLevels) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({levels: theLevels,
+                                                          state: theState}));
+    } catch (theError) {
+        warn(`Couldn't save the game (${theError.message}).`);
+    }
+}
+
+/**
+ * Loads the game's state saved in the browser, if it was saved while playing
+ * the same levels and seed.
+ * @param {string[]} theLevels - The paths of the level files being played.
+ * @param {string} theSeed - The seed asked for, or undefined if any will do.
+ * @returns {Object} The saved state, or null if there isn't a matching one
+ * or it can't be read.
+ */
+export function loadState(theLevels, theSeed) {
+    let rv = null;
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (saved !== null && Array.isArray(saved.levels) &&
+                saved.levels.join("\n") === theLevels.join("\n") &&
+                (theSeed === undefined || `${saved.state.seed}` === theSeed)) {
+            rv = saved.state;
+        }
+    } catch (theError) {
+        warn(`Couldn't load the saved game (${theError.message}).`);
+    }
+    return rv;
+}
+
+/** Throws away the game's state saved in the browser. */
+export function clearState() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (theError) {
+        warn(`Couldn't clear the saved game (${theError.message}).`);
+    }
+}
+
+/**
+ * @param {Object} theState - The game's state.
+ * @returns {string} The state written for a URL's hash, without the "#".
+ */
+export function encodeState(theState) {
+    const params = new URLSearchParams();
+    for (const [field, type] of Object.entries(HASH_FIELDS)) {
+        const value = theState[field];
+        if (type === "boolean") {
+            params.set(field, value ? "1" : "0");
+        } else if (type === "list") {
+            params.set(field, value.join(","));
+        } else if (type === "tuples") {
+            params.set(field, value.map((theTuple) => {
+                return theTuple.join(",");
+            }).join(";"));
+        } else {
+            params.set(field, `${value}`);
+        }
+    }
+    return params.toString();
+}
+
+/**
+ * Reads a state written by encodeState. Only the format is checked here; the
+ * game checks the values when it restores the state.
+ * @param {string} theHash - A URL's hash, with or without the "#".
+ * @returns {Object} The state.
+ */
+export function decodeState(theHash) {
+    const params = new URLSearchParams(theHash.replace(/^#/, ""));
+    const rv = {};
+    for (const [field, type] of Object.entries(HASH_FIELDS)) {
+        const value = params.get(field);
+        if (value === null) {
+            throw new Error(`The state is missing '${field}'.`);
+        } else if (type === "number") {
+            rv[field] = value === "" ? NaN : Number(value);
+        } else if (type === "boolean") {
+            rv[field] = value === "1";
+        } else if (type === "list") {
+            rv[field] = value === "" ? [] : value.split(",");
+        } else if (type === "tuples") {
+            rv[field] = value === "" ? [] : value.split(";").map((theTuple) => {
+                return theTuple.split(",").map(Number);
+            });
+        } else {
+            rv[field] = value;
+        }
+    }
+    return rv;
+}
@@ -0,0 +1,385 @@
+/**
+ * @file A command-line tool that checks output which must not change without
+ * anyone noticing against the reference copies kept in tools/reference:
+ *
+ *     node tools/check.js [--update]
+ *
+ * It prints the result of each check and exits with 1 if any failed. With
+ * --update it writes the current output as the new reference instead, for
+ * when a change is meant to alter it.
+ * @author Marcus Bartlett
+ */
+
+import { readFileSync, writeFileSync } from "fs";
+import { execFileSync } from "child_process";
+import { fileURLToPath } from "url";
+import { MazeGenerator, ALGORITHMS } from "../maze.js";
+import { World } from "../world.js";
+import { parseLevel } from "../level.js";
+import { PathFinder } from "../path.js";
+import { Renderer } from "../renderer.js";
+import { solidTextures } from "../materials.js";
+import { Game } from "../game.js";
+import { encodeState, decodeState } from "../state.js";
+
+/** The directory the reference output is kept in. */
+const REFERENCE_DIR = new URL("reference/", import.meta.url);
+
+/** The seed, size, braid and walls of the reference mazes. */
+const MAZE = {seed: "check", width: 8, height: 6, braid: 0.5,
+              walls: [1, 2, 3]};
+
+/** Maze sizes, in cells, that are only one cell wide or high. */
+const NARROW_MAZES = [[1, 1], [1, 2], [2, 1], [1, 5], [5, 1]];
+
+/** A room the invalid levels are made from, as a tilemap. */
+const ROOM = [[1, 1, 1], [0, 0, 1], [1, 1, 1]];
+
+/**
+ * Small invalid levels, in both formats (see levels/README.md), each with the
+ * error loading it must give.
+ */
+const INVALID_LEVELS = [
+    [{name: "Nothing"}, "Level has no 'tilemap' or 'map'."],
+    [{tilemap: [[1, 1, 1], [1, 0]], start: {x: 1.5, y: 1.5}},
+     "Level tilemap row 1 has 2 tiles but row 0 has 3."],
+    ["###\n#>.\n###\n#.##",
+     "Level tilemap row 3 has 4 tiles but row 0 has 3."],
+    [{tilemap: [[1, 99, 1]], start: {x: 1.5, y: 0.5}},
+     "Unknown tile code 99 at (1, 0)."],
+    ["###\n#?>\n###", "Unknown tile character '?' at row 1, column 1."],
+    ["####\n#>>.\n####", "Second start marker at row 1, column 2."],
+    [{tilemap: ROOM, start: {x: 0.5, y: 0.5}},
+     "Start position (0.5, 0.5) is inside a wall."],
+    [{tilemap: ROOM, start: {x: 5, y: 1.5}},
+     "Start position (5, 1.5) is outside the map."],
+    [{tilemap: ROOM, start: {x: 1.5, y: 1.5}, exits: [[2, 1]]},
+     "Exit (2, 1) is inside a wall."],
+    [{tilemap: ROOM, start: {x: 1.5, y: 1.5}, exits: [[0, 1], [0, 1]]},
+     "Exit (0, 1) is listed twice."],
+    [{tilemap: ROOM, start: {x: 1.5, y: 1.5},
+      sprites: [{type: "dragon", x: 1.5, y: 1.5}]},
+     "Sprite 0 has unknown type \"dragon\"."],
+    ["#####\n#>D.E\n##.##", "Door at (2, 1) must be between two walls."],
+    ["#####\n#>.L.\n##.##",
+     "Locked door at (3, 1) needs a 'key' sprite somewhere in the level."],
+    ["#####\n#>#.E\n#####", "Exit (4, 1) can't be reached from the start."],
+    ["###\n#>#\n###", "Level has no exits and no way off the map."],
+    ["flavour: 3\n\n###\n#>.\n###", "Unknown level setting 'flavour'."]
+];
+
+/**
+ * The level whose view from its start is rendered for the reference image,
+ * and the image's size.
+ */
+const SNAPSHOT = {level: "room.json", width: 160, height: 100};
+
+/** The recording replayed by tools/replay.js, and the level it was made in. */
+const REPLAY = {recording: "room-recording.json", level: "room.json"};
+
+/**
+ * The level the saved states are checked in, a state in it with a secret
+ * wall pushed and the key taken, and the seeds they're checked with.
+ */
+const STATE = {
+    level: "doors.txt", seeds: [20, "check"],
+    state: {x: 6.5, y: 3.5, inventory: ["key"], taken: [[1.5, 3.5]],
+            pushed: [[6, 3, 6, 5]]}
+};
+
+/**
+ * Changes that make a saved state invalid, each with the error restoring it
+ * must give.
+ */
+const INVALID_STATES = [
+    [{seed: null}, "Game state has an invalid seed."],
+    [{level: 0}, "Game state has an invalid level."],
+    [{level: 1e5}, "Game state has an invalid level."],
+    [{x: NaN}, "Game state has an invalid position."],
+    [{fov: 0}, "Game state has an invalid FOV."],
+    [{width: 1}, "Game state has an invalid screen size."],
+    [{textured: "1"}, "Game state's textured flag must be a boolean."],
+    [{time: -1}, "Game state has an invalid time."],
+    [{inventory: [1]}, "Game state's inventory must be strings."],
+    [{taken: [[1]]}, "The taken items must be [x, y] pairs."],
+    [{seen: "?"}, "The seen tiles don't fit the world."],
+    [{pushed: [[6, 3]]}, "The pushed walls must be [x, y, x, y] moves."],
+    [{pushed: [[1, 1, 2, 1]]},
+     "The wall pushed from (1, 1) to (2, 1) can't have slid there."],
+    [{x: -5}, "Game state's position is outside the map."],
+    [{x: 0.5, y: 0.5}, "Game state's position is inside a wall."],
+    [{x: 9.5, y: 6.5, inventory: []},
+     "Game state's position is inside a door it can't open."]
+];
+
+/** The FOV, in degrees, when the level doesn't set one. */
+const DEFAULT_FOV = 75;
+
+/** The checks, by name. Each is passed --update and throws if it fails. */
+const CHECKS = {
+    mazes: checkMazes,
+    narrowMazes: checkNarrowMazes,
+    invalidLevels: checkInvalidLevels,
+    paths: checkPaths,
+    snapshot: checkSnapshot,
+    replay: checkReplay,
+    states: checkStates,
+    invalidStates: checkInvalidStates
+};
+
+const update = process.argv.slice(2).includes("--update");
+let failed = 0;
+for (const [name, check] of Object.entries(CHECKS)) {
+    try {
+        check(update);
+        console.log(`ok ${name}`);
+    } catch (theError) {
+        failed++;
+        console.log(`FAILED ${name}: ${theError.message}`);
+    }
+}
+process.exit(failed > 0 ? 1 : 0);
+
+/**
+ * Checks that the same seed always gives the same maze, with every
+ * algorithm.
+ * @param {boolean} theUpdate - Whether to update the reference instead.
+ */
+function checkMazes(theUpdate) {
+    const mazes = {};
+    for (const algorithm of ALGORITHMS) {
+        const level = generateMaze(algorithm);
+        if (JSON.stringify(level) !== JSON.stringify(generateMaze(algorithm))) {
+            throw new Error(`The ${algorithm} maze changed between runs.`);
+        }
+        mazes[algorithm] = {
+            tilemap: level.tilemap.map((theRow) => theRow.join("")),
+            start: level.start, exits: level.exits
+        };
+    }
+    compare("mazes.json", JSON.stringify(mazes, null, 4) + "\n", theUpdate);
+}
+
+/**
+ * Checks that mazes one cell wide or high can be generated with every
+ * algorithm and as many dead ends removed as possible.
+ */
+function checkNarrowMazes() {
+    for (const algorithm of ALGORITHMS) {
+        for (const [width, height] of NARROW_MAZES) {
+            try {
+                new MazeGenerator(width, height, MAZE.seed).generate(algorithm,
+                                                                     1);
+            } catch (theError) {
+                throw new Error(`The ${width}x${height} ${algorithm} maze ` +
+                                `failed: ${theError.message}`);
+            }
+        }
+    }
+}
+
+/**
+ * Checks that BFS and A* find a way out of each reference maze that is just
+ * as short.
+ */
+function checkPaths() {
+    for (const algorithm of ALGORITHMS) {
+        const world = World.fromLevel(generateMaze(algorithm));
+        const finder = new PathFinder(world);
+        const bfs = finder.solve(world.start.x, world.start.y, "bfs");
+        const astar = finder.solve(world.start.x, world.start.y, "astar");
+        if (bfs === null || astar === null) {
+            throw new Error(`No way out of the ${algorithm} maze was found.`);
+        } else if (bfs.length !== astar.length) {
+            throw new Error(`In the ${algorithm} maze BFS found a path of ` +
+                            `${bfs.length} tiles but A* one of ` +
+                            `${astar.length}.`);
+        } else if (!world.isExit(...astar[astar.length - 1])) {
+            throw new Error(`A* stopped short of the ${algorithm} maze's ` +
+                            "exit.");
+        }
+    }
+}
+
+/** Checks that loading each invalid level fails with the right error. */
+function checkInvalidLevels() {
+    for (const [level, error] of INVALID_LEVELS) {
+        let message = null;
+        try {
+            parseLevel(level);
+        } catch (theError) {
+            message = theError.message;
+        }
+        if (message !== error) {
+            throw new Error(`Loading ${JSON.stringify(level)} gave ` +
+                            `${JSON.stringify(message)}, not '${error}'.`);
+        }
+    }
+}
+
+/**
+ * Checks that the renderer still draws the reference level's view from its
+ * start the same way, in solid colors like tools/snapshot.js.
+ * @param {boolean} theUpdate - Whether to update the reference instead.
+ */
+function checkSnapshot(theUpdate) {
+    const world = World.fromLevel(readFileSync(
+            new URL(`../levels/${SNAPSHOT.level}`, import.meta.url), "utf8"));
+    const fov = world.settings.fov === undefined ? DEFAULT_FOV :
+                world.settings.fov;
+    const image = new Renderer(solidTextures()).render(world, {
+        x: world.start.x, y: world.start.y, theta: world.start.angle,
+        fov: fov, width: SNAPSHOT.width, height: SNAPSHOT.height
+    });
+    // Keep it as a PPM, which holds RGB without alpha, so that it can be
+    // looked at.
+    const rgb = Buffer.alloc(image.width * image.height * 3);
+    for (let i = 0; i < image.width * image.height; i++) {
+        rgb[i * 3] = image.data[i * 4];
+        rgb[i * 3 + 1] = image.data[i * 4 + 1];
+        rgb[i * 3 + 2] = image.data[i * 4 + 2];
+    }
+    const name = SNAPSHOT.level.replace(/\.[^.]*$/, ".ppm");
+    compare(name, Buffer.concat([
+            Buffer.from(`P6\n${image.width} ${image.height}\n255\n`), rgb]),
+            theUpdate);
+}
+
+/**
+ * Checks that a recording still ends where it did when it was made, using
+ * tools/replay.js. The recording isn't output, so --update leaves it alone;
+ * if movement is meant to change, it has to be recorded again in the game.
+ */
+function checkReplay() {
+    try {
+        execFileSync(process.execPath, [
+            fileURLToPath(new URL("replay.js", import.meta.url)),
+            fileURLToPath(new URL(REPLAY.recording, REFERENCE_DIR)),
+            fileURLToPath(new URL(`../levels/${REPLAY.level}`,
+                                  import.meta.url))
+        ], {stdio: "pipe"});
+    } catch (theError) {
+        throw new Error(`The replay of tools/reference/${REPLAY.recording} ` +
+                        `ended elsewhere: ${String(theError.stdout).trim()}`);
+    }
+}
+
+/**
+ * Checks that saved states come back the same from a URL's hash, with a
+ * number seed, which comes back as a string, and with a string one.
+ */
+function checkStates() {
+    for (const seed of STATE.seeds) {
+        const game = createGame(seed);
+        game.restore({...game.state, ...STATE.state});
+        checkHash(game);
+        // The level after the given one is the first generated maze.
+        game.playLevel(seed, 2);
+        checkHash(game);
+    }
+}
+
+/**
+ * A helper function that checks that a game's state comes back the same
+ * from a URL's hash, down to its level's maze.
+ * @param {Game} theGame - The game.
+ */
+function checkHash(theGame) {
+    const state = theGame.state;
+    const restored = createGame("other");
+    restored.restore(decodeState(`#${encodeState(state)}`));
+    const name = `Level ${state.level} with the seed ` +
+                 JSON.stringify(state.seed);
+    if (JSON.stringify(restored.state) !==
+            JSON.stringify({...state, seed: `${state.seed}`})) {
+        throw new Error(`${name} came back as ` +
+                        JSON.stringify(restored.state));
+    } else if (JSON.stringify(tilesOf(theGame.loadLevel(state.level))) !==
+            JSON.stringify(tilesOf(restored.loadLevel(state.level)))) {
+        throw new Error(`${name} came back as a different maze.`);
+    }
+}
+
+/**
+ * Checks that restoring each kind of invalid state fails with the right
+ * error and leaves the game as it was.
+ */
+function checkInvalidStates() {
+    const game = createGame(MAZE.seed);
+    game.restore({...game.state, ...STATE.state});
+    const before = JSON.stringify(game.state);
+    for (const [change, error] of INVALID_STATES) {
+        let message = null;
+        try {
+            game.restore({...JSON.parse(before), ...change});
+        } catch (theError) {
+            message = theError.message;
+        }
+        if (message !== error) {
+            throw new Error(`Restoring ${JSON.stringify(change)} gave ` +
+                            `${JSON.stringify(message)}, not '${error}'.`);
+        } else if (JSON.stringify(game.state) !== before) {
+            throw new Error(`Restoring ${JSON.stringify(change)} changed ` +
+                            "the game.");
+        }
+    }
+    let message = null;
+    try {
+        decodeState("#seed=check");
+    } catch (theError) {
+        message = theError.message;
+    }
+    if (message !== "The state is missing 'level'.") {
+        throw new Error(`Reading a hash without a level gave ` +
+                        `${JSON.stringify(message)}.`);
+    }
+}
+
+/**
+ * @param {number|string} theSeed - The seed of the generated mazes.
+ * @returns {Game} A game that only simulates, with the saved states' level
+ * first.
+ */
+function createGame(theSeed) {
+    return new Game(null, solidTextures(), theSeed, [readFileSync(
+            new URL(`../levels/${STATE.level}`, import.meta.url), "utf8")]);
+}
+
+/**
+ * @param {World} theWorld - A world.
+ * @returns {number[][]} The world's tiles, by row.
+ */
+function tilesOf(theWorld) {
+    const rv = [];
+    for (let y = 0; y < theWorld.height; y++) {
+        rv.push([]);
+        for (let x = 0; x < theWorld.width; x++) {
+            rv[y].push(theWorld.getTile(x, y));
+        }
+    }
+    return rv;
+}
+
+/**
+ * @param {string} theAlgorithm - A maze algorithm (see ALGORITHMS).
+ * @returns {Object} The reference maze built with the algorithm.
+ */
+function generateMaze(theAlgorithm) {
+    return new MazeGenerator(MAZE.width, MAZE.height, MAZE.seed).generate(
+            theAlgorithm, MAZE.braid, MAZE.walls);
+}
+
+/**
+ * Compares output with its reference copy, or replaces the reference.
+ * @param {string} theName - The reference's file name in REFERENCE_DIR.
+ * @param {string|Buffer} theActual - The output.
+ * @param {boolean} theUpdate - Whether to replace the reference.
+ */
+function compare(theName, theActual, theUpdate) {
+    const path = new URL(theName, REFERENCE_DIR);
+    if (theUpdate) {
+        writeFileSync(path, theActual);
+    } else if (!Buffer.from(theActual).equals(readFileSync(path))) {
+        throw new Error(`The output differs from tools/reference/${theName}.`);
+    }
+}
@@ -0,0 +1,39 @@
+/**
+ * @file A command-line tool that replays a recording (see record.js) without
+ * a browser and checks that it still ends exactly where it did when it was
+ * recorded, so that changes to movement and collision can be checked
+ * automatically:
+ *
+ *     node tools/replay.js recording.json [level files...]
+ *
+ * The level files are the ones the recording was played with, if any. It
+ * prints where the replay ended and exits with 1 if that's not where the
+ * recording did.
+ * @author Marcus Bartlett
+ */
+
+import { readFileSync } from "fs";
+import { Game } from "../game.js";
+import { Recording } from "../record.js";
+import { solidTextures } from "../materials.js";
+
+const [recording_path, ...level_paths] = process.argv.slice(2);
+if (recording_path === undefined) {
+    console.error("Usage: node tools/replay.js <recording.json> " +
+                  "[level files...]");
+    process.exit(1);
+}
+const recording = Recording.fromJSON(JSON.parse(readFileSync(recording_path,
+                                                             "utf8")));
+const levels = level_paths.map((thePath) => readFileSync(thePath, "utf8"));
+const game = new Game(null, solidTextures(), recording.seed, levels);
+game.replay(recording);
+while (game.replaying) {
+    game.tick();
+}
+const state = game.state;
+const matched = recording.matches(state.x, state.y, state.angle);
+console.log(JSON.stringify({level: state.level, time: state.time,
+                            x: state.x, y: state.y, angle: state.angle,
+                            matched: matched}));
+process.exit(matched ? 0 : 1);
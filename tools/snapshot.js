@@ -0,0 +1,108 @@
+/**
+ * @file A command-line tool that renders the view from a level's start to a
+ * PPM image without a browser, in solid colors, for reference images:
+ *
+ *     node tools/snapshot.js levels/room.txt room.ppm [width] [height]
+ *
+ * With --time in place of the image's path it saves nothing, and instead
+ * times casting the rays for a view SCREEN_MAX pixels wide, and rendering
+ * that view, averaged over a number of frames:
+ *
+ *     node tools/snapshot.js levels/room.txt --time [frames]
+ *
+ * @author Marcus Bartlett
+ */
+
+import { readFileSync, writeFileSync } from "fs";
+import { World } from "../world.js";
+import { Renderer, DRAW_DISTANCE } from "../renderer.js";
+import { Ray } from "../ray.js";
+import { solidTextures } from "../materials.js";
+import { SCREEN_MAX } from "../screen.js";
+
+/** The size of the image when none is given. */
+const DEFAULT_SIZE = [320, 200];
+
+/** The FOV, in degrees, when the level doesn't set one. */
+const DEFAULT_FOV = 75;
+
+/** How many frames to time when no number is given. */
+const DEFAULT_FRAMES = 10;
+
+const [level_path, out_path, width, height] = process.argv.slice(2);
+if (level_path === undefined || out_path === undefined) {
+    console.error("Usage: node tools/snapshot.js <level> <out.ppm> " +
+                  "[width] [height]\n" +
+                  "       node tools/snapshot.js <level> --time [frames]");
+    process.exit(1);
+}
+const world = World.fromLevel(readFileSync(level_path, "utf8"));
+// Decoding the textures would need a browser, so draw everything in solid
+// colors.
+const textures = solidTextures();
+const fov = world.settings.fov === undefined ? DEFAULT_FOV :
+            world.settings.fov;
+if (out_path === "--time") {
+    const frames = width === undefined ? DEFAULT_FRAMES : Number(width);
+    const view = {
+        x: world.start.x, y: world.start.y, theta: world.start.angle,
+        fov: fov, width: SCREEN_MAX,
+        height: Math.round(SCREEN_MAX * DEFAULT_SIZE[1] / DEFAULT_SIZE[0])
+    };
+    console.log(`${view.width}x${view.height}, ${frames} frames: ` +
+                `${timeRays(view, frames).toFixed(2)} ms per frame casting ` +
+                `rays, ${timeRender(view, frames).toFixed(2)} ms per frame ` +
+                "rendering");
+} else {
+    const image = new Renderer(textures).render(world, {
+        x: world.start.x, y: world.start.y, theta: world.start.angle,
+        fov: fov,
+        width: width === undefined ? DEFAULT_SIZE[0] : Number(width),
+        height: height === undefined ? DEFAULT_SIZE[1] : Number(height)
+    });
+    // PPM holds RGB without alpha.
+    const rgb = Buffer.alloc(image.width * image.height * 3);
+    for (let i = 0; i < image.width * image.height; i++) {
+        rgb[i * 3] = image.data[i * 4];
+        rgb[i * 3 + 1] = image.data[i * 4 + 1];
+        rgb[i * 3 + 2] = image.data[i * 4 + 2];
+    }
+    writeFileSync(out_path, Buffer.concat([
+            Buffer.from(`P6\n${image.width} ${image.height}\n255\n`), rgb]));
+}
+
+/**
+ * Times finding the wall hit by the ray of each of a view's columns.
+ * @param {Object} theView - The view (see Renderer.render).
+ * @param {number} theFrames - How many times to cast every ray.
+ * @returns {number} The average time per frame in milliseconds.
+ */
+function timeRays(theView, theFrames) {
+    const ray = new Ray(theView.x, theView.y, theView.theta, world,
+                        DRAW_DISTANCE);
+    const vp_disp = 1 / (2 * Math.tan(theView.fov * Math.PI / 360));
+    const start = performance.now();
+    for (let frame = 0; frame < theFrames; frame++) {
+        for (let i = 0; i < theView.width; i++) {
+            ray.theta = theView.theta + Math.atan(
+                    (i - 0.5 * theView.width) / (vp_disp * theView.width));
+            ray.seekCollision();
+        }
+    }
+    return (performance.now() - start) / theFrames;
+}
+
+/**
+ * Times rendering a view.
+ * @param {Object} theView - The view (see Renderer.render).
+ * @param {number} theFrames - How many times to render it.
+ * @returns {number} The average time per frame in milliseconds.
+ */
+function timeRender(theView, theFrames) {
+    const renderer = new Renderer(textures);
+    const start = performance.now();
+    for (let frame = 0; frame < theFrames; frame++) {
+        renderer.render(world, theView);
+    }
+    return (performance.now() - start) / theFrames;
+}
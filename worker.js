@@ -0,0 +1,73 @@
+/**
+ * @file The script of the Web Worker that runs the game off the page's thread,
+ * drawing on an OffscreenCanvas so that heavy frames don't hold up input. The
+ * page talks to it through RemoteGame (see remote.js).
+ * @author Marcus Bartlett
+ */
+
+import { Game } from "./game.js";
+import { Recording } from "./record.js";
+
+/** The game, once the page has sent what it needs to start one. */
+let game = null;
+
+self.addEventListener("message", (theEvent) => {
+    const message = theEvent.data;
+    if (message.type === "start") {
+        game = createGame(message);
+        game.start((theSettings) => {
+            self.postMessage({type: "settings", settings: theSettings});
+        }, (theState) => {
+            self.postMessage({type: "state", state: theState});
+        }, (theRecording) => {
+            self.postMessage({type: "recording",
+                              recording: theRecording.toJSON()});
+        });
+    } else if (message.type === "key") {
+        // The page has already decided whether to prevent the default.
+        game.handleInput({key: message.key, repeat: message.repeat,
+                          preventDefault: () => {}}, message.down);
+    } else if (message.type === "action") {
+        game.handleAction(message.action, message.down, message.repeat);
+    } else if (message.type === "steer") {
+        game.steer(message.source, message.forward, message.strafe,
+                   message.turn);
+    } else if (message.type === "look") {
+        game.look(message.dx);
+    } else if (message.type === "setting") {
+        game.changeSetting(message.name, message.value);
+    } else if (message.type === "replay") {
+        try {
+            game.replay(Recording.fromJSON(message.recording));
+        } catch (theError) {
+            self.postMessage({type: "warning", message: "Couldn't replay " +
+                              `the recording (${theError.message}).`});
+        }
+    } else if (message.type === "restore") {
+        // The page waits to hear whether it worked (see RemoteGame.restore).
+        try {
+            game.restore(message.state);
+            self.postMessage({type: "restored", error: null});
+        } catch (theError) {
+            self.postMessage({type: "restored", error: theError.message});
+        }
+    }
+});
+
+/**
+ * Creates the game, falling back to generated mazes if the levels are broken.
+ * @param {Object} theMessage - The start message (see RemoteGame.start).
+ * @returns {Game} The game.
+ */
+function createGame(theMessage) {
+    let rv = null;
+    try {
+        rv = new Game(theMessage.canvas, theMessage.textures, theMessage.seed,
+                      theMessage.levels);
+    } catch (theError) {
+        // Tell the level designer what's wrong, then play generated mazes.
+        self.postMessage({type: "error", message: theError.message});
+        rv = new Game(theMessage.canvas, theMessage.textures, theMessage.seed);
+    }
+    return rv;
+}
@@ -3,20 +3,76 @@
  * @author Marcus Bartlett
  */
 
-/** The colors of the world when drawn top-down. */
-const TOP_DOWN_COLORS = ["#000000", "#0000ff"];
+import { parseLevel, STEP_HEIGHT } from "./level.js";
+import { MATERIALS, tileBlocks } from "./materials.js";
+import { Sprite } from "./sprite.js";
+import { intersect, nearestOnSegment } from "./geometry.js";
 
-/** How width and height, in pixels, to draw each square on screen in pixels. */
-const DRAW_SIZE = 16;
+/** The height, in tiles, of walls that the level doesn't give a height. */
+export const WALL_HEIGHT = 1;
+
+/**
+ * The thickness, in tiles, of doors and segments in the top-down view.
+ */
+const DOOR_THICKNESS = 0.2;
+
+/**
+ * The thickness, in tiles, of the sides of walls that have been seen in the
+ * explored top-down view.
+ */
+const FACE_THICKNESS = 0.25;
+
+/** How many faces each wall tile has (see Ray.seekCollision). */
+const FACE_COUNT = 4;
+
+/**
+ * How many points per tile of a segment's length are checked when deciding
+ * whether it has been seen.
+ */
+const SEGMENT_SAMPLES = 4;
+
+/**
+ * The most walls a circle is pushed out of in one step, which is enough for
+ * any corner.
+ */
+const RESOLVE_PASSES = 4;
+
+/** How long, in seconds, a door takes to slide open or shut. */
+const DOOR_SLIDE_TIME = 0.75;
+
+/** How long, in seconds, a door stays open before it starts to shut. */
+const DOOR_OPEN_TIME = 3;
+
+/** How far open a door must be before anything can pass through it. */
+const DOOR_PASSABLE = 0.8;
+
+/** How fast secret walls slide in tiles per second. */
+const PUSH_SPEED = 1;
+
+/** How many tiles secret walls slide when pushed. */
+const PUSH_DISTANCE = 2;
+
+/** The bit set in a tile's seen flags once any of it has been seen. */
+const SEEN_TILE = 1;
+
+/** The color of explored floor in the top-down view. */
+const EXPLORED_COLOR = "rgba(255, 255, 255, 0.12)";
+
+/**
+ * How far, in tiles, past the end of a ray to look for the wall it hit, so
+ * that rays ending on a tile's edge are counted in the tile behind it.
+ */
+const EXPLORE_EPSILON = 1e-6;
 
 /** Describes the game world. */
 export class World {
     /**
      * Constructs a world.
      * @param {Array} theTilemap - A 2D array of numbers representing the tiles.
-     * units.
+     * @param {Array} theExits - An array of [x, y] goal tiles. Leaving the
+     * bounds of the tilemap also counts as reaching an exit.
      */
-    constructor(theTilemap) {
+    constructor(theTilemap, theExits = []) {
         if (theTilemap === null) {
             throw new Error("World constructor passed null argument(s).");
         } else if (!Array.isArray(theTilemap)) {
@@ -31,96 +87,1041 @@ export class World {
                 }
             }
         }
+        if (!Array.isArray(theExits)) {
+            throw new Error("World's exits must be an array.");
+        }
+        /** The goal tiles as [x, y] pairs. */
+        this._exits = theExits.map((theExit) => [theExit[0], theExit[1]]);
+        /** The level's name. */
+        this._name = "";
+        /** Where the camera starts as {x, y, angle}, or null if unknown. */
+        this._start = null;
+        /** The level's settings (see level.js). */
+        this._settings = {};
+        /** The flat under each tile, or null to use the default everywhere. */
+        this._floors = null;
+        /** The flat over each tile, or null to use the default everywhere. */
+        this._ceilings = null;
+        /**
+         * The height of the wall on each tile, with 0 for WALL_HEIGHT, or
+         * null to use WALL_HEIGHT everywhere.
+         */
+        this._heights = null;
+        /** How high each tile's floor is raised, or null for none at all. */
+        this._elevations = null;
+        /**
+         * The thin and diagonal walls that stand on the ground apart from the
+         * tiles, as {x0, y0, x1, y1, tile, height}.
+         */
+        this._segments = [];
+        /**
+         * The highest point of any wall or floor (see tallest), counting every
+         * tile as a wall since secret walls can be pushed onto empty ones.
+         */
+        this._tallest = WALL_HEIGHT;
+        /** The items, markers and decorations in the world. */
+        this._sprites = [];
+        /**
+         * The state of each door, keyed by tile index. Each door has the axis
+         * its panel is perpendicular to, how far open it is (0 to 1), whether
+         * it's "closed", "opening", "open" or "closing", and how long it has
+         * been open.
+         */
+        this._doors = new Map();
+        for (let i = 0; i < this._tilemap.length; i++) {
+            for (let j = 0; j < this._tilemap[i].length; j++) {
+                if (this.kindAt(j, i) === "door") {
+                    // Doors slide along the walls on either side of them.
+                    const axis = this.kindAt(j - 1, i) === "wall" &&
+                                 this.kindAt(j + 1, i) === "wall" ? "y" : "x";
+                    this._doors.set(this.tileIndex(j, i), {axis: axis, open: 0,
+                                    state: "closed", timer: 0});
+                }
+            }
+        }
+        /**
+         * The secret walls that are sliding, each with the tile it's leaving,
+         * its direction, how far into the next tile it is, how many more
+         * tiles it will slide and the tile it started from.
+         */
+        this._pushes = [];
+        /** The tile indices of secret walls that have already been pushed. */
+        this._pushed = new Set();
+        /**
+         * The secret walls that have stopped sliding, as [x, y, x, y]: the
+         * tile each started from and the one it stopped in.
+         */
+        this._moves = [];
+        /**
+         * What the camera has seen of each tile, keyed by tile index: the
+         * SEEN_TILE bit, plus one bit per face of a wall (see faceBit).
+         */
+        this._seen = new Uint8Array(this._tilemap.length === 0 ? 0 :
+                this._tilemap.length * this._tilemap[0].length);
+        /** Where the items that have been picked up were, as [x, y] pairs. */
+        this._taken = [];
+    }
+
+    /**
+     * Loads a world from a level, rejecting levels that are invalid.
+     * @param {Object|string} theLevel - A level object, a JSON string or a
+     * level in the ASCII format (see levels/README.md).
+     * @param {boolean} thePlayable - Whether to reject levels that can't be
+     * played through yet (see parseLevel).
+     * @returns {World} The level's world.
+     */
+    static fromLevel(theLevel, thePlayable = true) {
+        const level = parseLevel(theLevel, thePlayable);
+        const rv = new World(level.tilemap, level.exits);
+        rv._name = level.name;
+        rv._start = level.start;
+        rv._settings = level.settings;
+        rv._floors = level.floors;
+        rv._ceilings = level.ceilings;
+        rv._heights = level.heights;
+        rv._elevations = level.elevations;
+        rv._segments = level.segments.map((theSegment) => {
+            return {x0: theSegment.from[0], y0: theSegment.from[1],
+                    x1: theSegment.to[0], y1: theSegment.to[1],
+                    tile: theSegment.tile,
+                    height: theSegment.height === undefined ? WALL_HEIGHT :
+                            theSegment.height};
+        });
+        for (const segment of rv._segments) {
+            rv._tallest = Math.max(rv._tallest, segment.height);
+        }
+        for (let y = 0; y < rv.height; y++) {
+            for (let x = 0; x < rv.width; x++) {
+                rv._tallest = Math.max(rv._tallest, rv.elevationAt(x, y) +
+                                       rv.heightAt(x, y));
+            }
+        }
+        rv._sprites = level.sprites.map((theSprite) => {
+            return new Sprite(theSprite.type, theSprite.x, theSprite.y,
+                              theSprite.angle);
+        });
+        return rv;
     }
     
     /**
-     * Draws a top-down view of the world to the canvas.
+     * Draws a top-down view of the world, one unit per tile, so the caller can
+     * place and scale it with the context's transform.
+     * @param {CanvasRenderingContext2D} theCtx - The context to draw to.
+     * @param {boolean} theExplored - Whether to draw only the tiles the
+     * camera has seen, with the floor it has seen shaded and only the sides
+     * of walls it has seen.
      */
-    drawWorld() {
-        const canvas = document.querySelector("canvas");
-        const ctx = canvas.getContext("2d", {alpha: "false"});
+    drawWorld(theCtx, theExplored = false) {
         for (let i = 0; i < this._tilemap.length; i++) {
             for (let j = 0; j < this._tilemap[i].length; j++) {
-                if (this._tilemap[i][j] !== 0) {
-                    ctx.fillStyle = TOP_DOWN_COLORS[this._tilemap[i][j]];
-                    ctx.fillRect(j * DRAW_SIZE, i * DRAW_SIZE, DRAW_SIZE, 
-                                 DRAW_SIZE);
+                if (theExplored && !this.seenAt(j, i)) {
+                    continue;
+                } else if (this._tilemap[i][j] === 0) {
+                    if (theExplored) {
+                        theCtx.fillStyle = EXPLORED_COLOR;
+                        theCtx.fillRect(j, i, 1, 1);
+                    }
+                    continue;
                 }
+                const inset = this.getInset(j, i);
+                theCtx.fillStyle = MATERIALS[this._tilemap[i][j]].color;
+                if (inset !== null && inset.solid === 0) {
+                    // Draw doors as their panels, which shrink as they open.
+                    const half = DOOR_THICKNESS / 2;
+                    if (inset.axis === "x") {
+                        theCtx.fillRect(inset.pos - half, inset.min, 
+                                        DOOR_THICKNESS, inset.max - inset.min);
+                    } else {
+                        theCtx.fillRect(inset.min, inset.pos - half, 
+                                        inset.max - inset.min, DOOR_THICKNESS);
+                    }
+                } else if (theExplored &&
+                        (this._seen[this.tileIndex(j, i)] & ~SEEN_TILE) !== 0) {
+                    this.drawFaces(theCtx, j, i);
+                } else {
+                    // Walls only seen through, like glass, are drawn whole.
+                    theCtx.fillRect(j, i, 1, 1);
+                }
+            }
+        }
+        theCtx.save();
+        theCtx.lineWidth = DOOR_THICKNESS;
+        for (const segment of this._segments) {
+            if (!theExplored || this.segmentSeen(segment)) {
+                theCtx.strokeStyle = MATERIALS[segment.tile].color;
+                theCtx.beginPath();
+                theCtx.moveTo(segment.x0, segment.y0);
+                theCtx.lineTo(segment.x1, segment.y1);
+                theCtx.stroke();
             }
         }
+        theCtx.restore();
     }
-    
+
     /**
-     * Checks a coordinate for a wall.
-     * @param {number} theX - The x-coordinate to test.
-     * @param {number} theY - The y-coordinate to test.
-     * @returns {boolean} Whether the coordinate has a wall. Returns false if
-     * the provided coordinates are out of bounds.
+     * A helper function that draws the faces of a wall tile that the camera
+     * has seen, each as a strip along its side of the tile.
+     * @param {CanvasRenderingContext2D} theCtx - The context to draw to.
+     * @param {number} theX - The tile's x-coordinate.
+     * @param {number} theY - The tile's y-coordinate.
+     */
+    drawFaces(theCtx, theX, theY) {
+        const edge = FACE_THICKNESS;
+        for (let face = 0; face < FACE_COUNT; face++) {
+            if (!this.faceSeen(theX, theY, face)) {
+                continue;
+            } else if (face === 0) {
+                // Seen by a ray heading west, so the east side.
+                theCtx.fillRect(theX + 1 - edge, theY, edge, 1);
+            } else if (face === 1) {
+                // Seen by a ray heading north, so the south side.
+                theCtx.fillRect(theX, theY + 1 - edge, 1, edge);
+            } else if (face === 2) {
+                theCtx.fillRect(theX, theY, edge, 1);
+            } else {
+                theCtx.fillRect(theX, theY, 1, edge);
+            }
+        }
+    }
+
+    /**
+     * A helper function that checks whether the camera has seen any of the
+     * tiles a segment passes through.
+     * @param {Object} theSegment - The segment.
+     * @returns {boolean} Whether the segment has been seen.
      */
-    checkCollision(theX, theY) {
+    segmentSeen(theSegment) {
+        const steps = Math.ceil(Math.hypot(theSegment.x1 - theSegment.x0,
+                                           theSegment.y1 - theSegment.y0) *
+                                SEGMENT_SAMPLES);
+        const dx = (theSegment.x1 - theSegment.x0) / steps;
+        const dy = (theSegment.y1 - theSegment.y0) / steps;
         let rv = false;
+        for (let i = 0; i <= steps && !rv; i++) {
+            rv = this.seenAt(theSegment.x0 + dx * i, theSegment.y0 + dy * i);
+        }
+        return rv;
+    }
+
+    /**
+     * Marks what the camera can see as explored, by following each of its
+     * rays through the tiles it crosses up to the wall it hit.
+     * @param {number} theX - The camera's x-coordinate.
+     * @param {number} theY - The camera's y-coordinate.
+     * @param {number[][]} theEnds - Where each ray stopped, as [x, y].
+     * @param {ArrayLike<number>} theFaces - The face of the wall each ray hit,
+     * or -1 if it didn't hit one (see Renderer.render).
+     */
+    explore(theX, theY, theEnds, theFaces) {
         if (typeof theX !== "number" || typeof theY !== "number") {
-            throw new Error("world.checkCollision passed non-numeric" + 
-                    "argument.");
-        } else {        
-            if (theX >= 0 && theY >= 0 && theY < this._tilemap.length && 
-                    theX < this._tilemap[0].length &&
-                    this._tilemap[Math.floor(theY)][Math.floor(theX)] === 1) {
-                rv = true;
+            throw new Error("World.explore passed non-numeric argument.");
+        } else if (theEnds.length !== theFaces.length) {
+            throw new Error("World.explore passed mismatched rays.");
+        }
+        for (let i = 0; i < theEnds.length; i++) {
+            const dx = theEnds[i][0] - theX;
+            const dy = theEnds[i][1] - theY;
+            const length = Math.hypot(dx, dy);
+            const scale = length === 0 ? 0 : EXPLORE_EPSILON / length;
+            const last = this.traceRay(theX, theY, theEnds[i][0] + dx * scale,
+                                       theEnds[i][1] + dy * scale);
+            if (last !== null && theFaces[i] >= 0) {
+                this._seen[this.tileIndex(...last)] |= faceBit(theFaces[i]);
+            }
+        }
+    }
+
+    /**
+     * A helper function that marks the tiles a line crosses as seen, in
+     * order, until the line ends or leaves the tilemap.
+     * @param {number} theX0 - The x-coordinate of the start of the line.
+     * @param {number} theY0 - The y-coordinate of the start of the line.
+     * @param {number} theX1 - The x-coordinate of the end of the line.
+     * @param {number} theY1 - The y-coordinate of the end of the line.
+     * @returns {number[]} The last tile marked as [x, y], or null if the line
+     * left the tilemap first.
+     */
+    traceRay(theX0, theY0, theX1, theY1) {
+        const dx = theX1 - theX0;
+        const dy = theY1 - theY0;
+        const step_x = Math.sign(dx);
+        const step_y = Math.sign(dy);
+        // How far along the line, from 0 to 1, the next vertical and
+        // horizontal grid lines are, and how far apart they are.
+        const delta_x = dx === 0 ? Infinity : Math.abs(1 / dx);
+        const delta_y = dy === 0 ? Infinity : Math.abs(1 / dy);
+        let tx = Math.floor(theX0);
+        let ty = Math.floor(theY0);
+        let next_x = dx === 0 ? Infinity :
+                     (dx > 0 ? tx + 1 - theX0 : theX0 - tx) * delta_x;
+        let next_y = dy === 0 ? Infinity :
+                     (dy > 0 ? ty + 1 - theY0 : theY0 - ty) * delta_y;
+        let steps = Math.abs(Math.floor(theX1) - tx) +
+                    Math.abs(Math.floor(theY1) - ty);
+        let rv = null;
+        while (rv === null && this.inBounds(tx, ty)) {
+            this._seen[this.tileIndex(tx, ty)] |= SEEN_TILE;
+            if (steps === 0) {
+                rv = [tx, ty];
+            } else if (next_x < next_y) {
+                tx += step_x;
+                next_x += delta_x;
+            } else {
+                ty += step_y;
+                next_y += delta_y;
+            }
+            steps--;
+        }
+        return rv;
+    }
+
+    /**
+     * @param {number} theX - A tile's x-coordinate.
+     * @param {number} theY - A tile's y-coordinate.
+     * @returns {boolean} Whether the tile is in the tilemap.
+     */
+    inBounds(theX, theY) {
+        return theY >= 0 && theY < this._tilemap.length && theX >= 0 &&
+               theX < this._tilemap[theY].length;
+    }
+
+    /**
+     * @param {number} theX - The x-coordinate.
+     * @param {number} theY - The y-coordinate.
+     * @returns {boolean} Whether the camera has seen any of the tile at the
+     * coordinate. Returns false if it's out of bounds.
+     */
+    seenAt(theX, theY) {
+        const x = Math.floor(theX);
+        const y = Math.floor(theY);
+        return this.inBounds(x, y) &&
+               (this._seen[this.tileIndex(x, y)] & SEEN_TILE) !== 0;
+    }
+
+    /**
+     * @param {number} theX - The x-coordinate.
+     * @param {number} theY - The y-coordinate.
+     * @param {number} theFace - A face of the tile at the coordinate, from 0
+     * to 3 as in Ray.seekCollision.
+     * @returns {boolean} Whether the camera has seen that face of the wall.
+     * Returns false if the tile is out of bounds.
+     */
+    faceSeen(theX, theY, theFace) {
+        const x = Math.floor(theX);
+        const y = Math.floor(theY);
+        return this.inBounds(x, y) &&
+               (this._seen[this.tileIndex(x, y)] & faceBit(theFace)) !== 0;
+    }
+
+    /**
+     * @returns {number} How much of the floor the camera has seen, from 0 to
+     * 1. Doors and walls that don't block movement count as floor, since they
+     * can be walked through.
+     */
+    get explored() {
+        let total = 0;
+        let seen = 0;
+        for (let i = 0; i < this._tilemap.length; i++) {
+            for (let j = 0; j < this._tilemap[i].length; j++) {
+                if (!tileBlocks(this._tilemap[i][j], "movement") ||
+                        this.kindAt(j, i) === "door") {
+                    total++;
+                    if (this.seenAt(j, i)) {
+                        seen++;
+                    }
+                }
             }
         }
+        return total === 0 ? 1 : seen / total;
+    }
+
+    /**
+     * Gets the value of the tile at a coordinate.
+     * @param {number} theX - The x-coordinate.
+     * @param {number} theY - The y-coordinate.
+     * @returns {number} The tile's value: 0 for empty or the index of a wall
+     * material (see materials.js). Returns 0 if the coordinates are out of
+     * bounds.
+     */
+    getTile(theX, theY) {
+        let rv = 0;
+        if (theX >= 0 && theY >= 0 && theY < this._tilemap.length && 
+                theX < this._tilemap[0].length) {
+            rv = this._tilemap[Math.floor(theY)][Math.floor(theX)];
+        }
         return rv;
     }
     
     /**
-     * Determines whether a given circle is colliding with (inside) a wall.
+     * Gets the kind of the tile at a coordinate.
+     * @param {number} theX - The x-coordinate.
+     * @param {number} theY - The y-coordinate.
+     * @returns {string} The kind of the tile's material ("wall", "door" or
+     * "push"; see materials.js), or null if the tile is empty.
+     */
+    kindAt(theX, theY) {
+        const tile = this.getTile(theX, theY);
+        return tile === 0 ? null : MATERIALS[tile].kind;
+    }
+
+    /**
+     * Checks whether a tile stops things from moving through it. This is
+     * the one test of what is solid: things pass through doors that are
+     * open and walls that only block sight (see materials.js).
+     * @param {number} theX - The tile's x-coordinate.
+     * @param {number} theY - The tile's y-coordinate.
+     * @returns {boolean} Whether the tile blocks movement.
+     */
+    blocksMovement(theX, theY) {
+        let rv = tileBlocks(this.getTile(theX, theY), "movement");
+        const door = this._doors.get(this.tileIndex(theX, theY));
+        if (rv && door !== undefined) {
+            rv = door.open < DOOR_PASSABLE;
+        }
+        return rv;
+    }
+
+    /**
+     * Checks whether the floor of one tile is low enough to step onto from
+     * another: no more than STEP_HEIGHT above it. Stepping down is always
+     * allowed.
+     * @param {number} theFromX - The x-coordinate stepped from.
+     * @param {number} theFromY - The y-coordinate stepped from.
+     * @param {number} theToX - The x-coordinate stepped onto.
+     * @param {number} theToY - The y-coordinate stepped onto.
+     * @returns {boolean} Whether the step can be taken.
+     */
+    canStep(theFromX, theFromY, theToX, theToY) {
+        return this.elevationAt(theToX, theToY) -
+               this.elevationAt(theFromX, theFromY) <= STEP_HEIGHT;
+    }
+
+    /**
+     * Describes the part of a tile that rays hit when it isn't simply a solid
+     * block: the panel of a door, which sits in the middle of its tile, or the
+     * face of a secret wall that is sliding out of its tile.
+     * @param {number} theX - The tile's x-coordinate.
+     * @param {number} theY - The tile's y-coordinate.
+     * @returns {Object} Null for an ordinary block. Otherwise {axis, pos, min,
+     * max, solid}: the face is the plane where the axis ("x" or "y") equals
+     * pos, spanning min to max along the other axis; solid is 0 for a thin
+     * panel, or 1 or -1 if everything past the plane in that direction along
+     * the axis is solid.
+     */
+    getInset(theX, theY) {
+        let rv = null;
+        const tx = Math.floor(theX);
+        const ty = Math.floor(theY);
+        const door = this._doors.get(this.tileIndex(tx, ty));
+        if (door !== undefined) {
+            // The panel slides along the other axis as it opens.
+            const along = door.axis === "x" ? ty : tx;
+            rv = {axis: door.axis, pos: (door.axis === "x" ? tx : ty) + 0.5,
+                  min: along + door.open, max: along + 1, solid: 0};
+        }
+        for (const push of this._pushes) {
+            // A sliding wall straddles the tile it's leaving and the next one.
+            const leaving = push.x === tx && push.y === ty;
+            if (leaving || 
+                    (push.x + push.dx === tx && push.y + push.dy === ty)) {
+                const axis = push.dx !== 0 ? "x" : "y";
+                const dir = push.dx !== 0 ? push.dx : push.dy;
+                const start = axis === "x" ? tx : ty;
+                rv = {axis: axis,
+                      pos: start + (dir > 0 ? push.offset : 1 - push.offset),
+                      min: axis === "x" ? ty : tx, 
+                      max: (axis === "x" ? ty : tx) + 1, 
+                      solid: leaving ? dir : -dir};
+            }
+        }
+        return rv;
+    }
+
+    /**
+     * Uses the tile at a coordinate: opens a door or pushes a secret wall.
+     * @param {number} theX - The tile's x-coordinate.
+     * @param {number} theY - The tile's y-coordinate.
+     * @param {number} theDx - The x-component of the direction to push in.
+     * @param {number} theDy - The y-component of the direction to push in.
+     * @param {string[]} theInventory - The types of the items the user holds.
+     * @returns {string} A message for the user, or null if there isn't one.
+     */
+    use(theX, theY, theDx, theDy, theInventory) {
+        let rv = null;
+        const tx = Math.floor(theX);
+        const ty = Math.floor(theY);
+        const index = this.tileIndex(tx, ty);
+        const kind = this.kindAt(tx, ty);
+        if (kind === "door") {
+            const door = this._doors.get(index);
+            const key = MATERIALS[this.getTile(tx, ty)].key;
+            if (key !== undefined && !theInventory.includes(key)) {
+                rv = `This door needs a ${key}.`;
+            } else if (door.state === "closed" || door.state === "closing") {
+                door.state = "opening";
+            } else if (door.state === "open") {
+                door.state = "closing";
+            }
+        } else if (kind === "push" && !this._pushed.has(index)) {
+            // Push along whichever axis the user is facing most.
+            let dx = 0;
+            let dy = 0;
+            if (Math.abs(theDx) >= Math.abs(theDy)) {
+                dx = Math.sign(theDx);
+            } else {
+                dy = Math.sign(theDy);
+            }
+            if (this.canPushInto(tx + dx, ty + dy)) {
+                this._pushed.add(index);
+                this._tilemap[ty + dy][tx + dx] = this._tilemap[ty][tx];
+                this._pushes.push({x: tx, y: ty, dx: dx, dy: dy, offset: 0,
+                                   left: PUSH_DISTANCE - 1, from: [tx, ty]});
+            }
+        }
+        return rv;
+    }
+
+    /**
+     * Moves doors and secret walls along.
+     * @param {number} theDelta - The time (in seconds) since the last update.
+     * @param {number} theX - The x-coordinate of the camera, which doors won't
+     * shut on.
+     * @param {number} theY - The y-coordinate of the camera.
+     * @param {number} theRad - The radius of the camera's bounding circle.
+     * @returns {boolean} Whether anything moved.
+     */
+    update(theDelta, theX, theY, theRad) {
+        let rv = false;
+        const slide = theDelta / DOOR_SLIDE_TIME;
+        for (const [index, door] of this._doors) {
+            const tx = index % this._tilemap[0].length;
+            const ty = Math.floor(index / this._tilemap[0].length);
+            if (door.state === "opening") {
+                door.open = Math.min(1, door.open + slide);
+                if (door.open === 1) {
+                    door.state = "open";
+                    door.timer = 0;
+                }
+                rv = true;
+            } else if (door.state === "open") {
+                door.timer += theDelta;
+                if (door.timer >= DOOR_OPEN_TIME) {
+                    door.state = "closing";
+                }
+            } else if (door.state === "closing") {
+                if (touchesTile(theX, theY, theRad, tx, ty)) {
+                    // Don't shut on the camera; wait for it to move away.
+                    door.state = "open";
+                    door.timer = 0;
+                } else {
+                    door.open = Math.max(0, door.open - slide);
+                    if (door.open === 0) {
+                        door.state = "closed";
+                    }
+                    rv = true;
+                }
+            }
+        }
+        for (const push of this._pushes) {
+            push.offset += PUSH_SPEED * theDelta;
+            while (push.offset >= 1 && push.dx + push.dy !== 0) {
+                // The wall has left its tile completely.
+                const tile = this._tilemap[push.y][push.x];
+                this._tilemap[push.y][push.x] = 0;
+                push.x += push.dx;
+                push.y += push.dy;
+                push.offset -= 1;
+                this._pushed.add(this.tileIndex(push.x, push.y));
+                if (push.left > 0 && this.canPushInto(push.x + push.dx,
+                                                      push.y + push.dy)) {
+                    push.left--;
+                    this._tilemap[push.y + push.dy][push.x + push.dx] = tile;
+                } else {
+                    // Stop here.
+                    push.dx = 0;
+                    push.dy = 0;
+                    this._moves.push([...push.from, push.x, push.y]);
+                }
+            }
+            rv = true;
+        }
+        this._pushes = this._pushes.filter((thePush) => {
+            return thePush.dx + thePush.dy !== 0;
+        });
+        return rv;
+    }
+
+    /**
+     * Picks up the items touching a circle.
      * @param {number} theX - The x-coordinate of the circle's center.
      * @param {number} theY - The y-coordinate of the circle's center.
      * @param {number} theRad - The circle's radius.
-     * @returns {boolean} - Whether the circle is inside a wall.
+     * @returns {string[]} The types of the items picked up, which are removed
+     * from the world.
      */
-    checkCollCirc(theX, theY, theRad) {
-        let rv = false;
-        let i = 0;
-        let j = 0;
-        let flag = true;
-        while (i < this._tilemap.length && flag) {
-            j = 0;
-            while (j < this._tilemap[i].length && flag) {
-                if (this._tilemap[i][j] !== 0) {
-                    let x = j;
-                    let y = i;
-                    let x2 = x + 1;
-                    let y2 = y + 1;
-                    let between_x = x <= theX && theX <= x2;
-                    let between_y = y <= theY && theY <= y2;
-                    // If the center is inside the box...
-                    if (between_x && between_y) {
-                        rv = true;
-                        flag = false;
-                    // If the circle is less than a radius away from an edge...
-                    } else if ((between_x && (Math.abs(y - theY) < theRad || 
-                            Math.abs(theY - y2) < theRad)) || 
-                            (between_y && (Math.abs(x - theX) < theRad || 
-                            Math.abs(theX - x2) < theRad))) {
-                        rv = true;
-                        flag = false;
-                    // Finally, check to see if it's near a corner.
-                    } else {
-                        let near1 = Math.hypot(x - theX, y - theY) < theRad;
-                        let near2 = Math.hypot(x - theX, y2 - theY) < theRad;
-                        let near3 = Math.hypot(x2 - theX, y - theY) < theRad;
-                        let near4 = Math.hypot(x2 - theX, y2 - theY) < theRad;
-                        if (near1 || near2 || near3 || near4) {
-                            rv = true;
-                            flag = false;
-                        }
+    takeItems(theX, theY, theRad) {
+        const rv = [];
+        this._sprites = this._sprites.filter((theSprite) => {
+            const taken = theSprite.kind === "item" &&
+                          Math.hypot(theSprite.x - theX, 
+                                     theSprite.y - theY) < theRad;
+            if (taken) {
+                rv.push(theSprite.type);
+                this._taken.push([theSprite.x, theSprite.y]);
+            }
+            return !taken;
+        });
+        return rv;
+    }
+
+    /**
+     * @returns {Object} What the camera has done in the world that a saved
+     * game needs, as {taken, seen, pushed}: where the items it picked up
+     * were, as [x, y] pairs, what it has seen of each tile (see explore) in
+     * base64 and the secret walls it pushed, as [x, y, x, y] from the tile
+     * each started from to the one it stops in. Walls still sliding are
+     * saved where they'll stop. Doors aren't saved; they start shut again.
+     */
+    get progress() {
+        return {taken: this._taken.map((thePos) => [thePos[0], thePos[1]]),
+                seen: encodeBytes(this._seen),
+                pushed: this._moves.concat(this._pushes.map((thePush) => {
+                    return this.pushEnd(thePush);
+                }))};
+    }
+
+    /**
+     * @param {Object} theProgress - What the camera had done in the world, as
+     * returned by progress. The items it picked up are taken away again and
+     * the secret walls it pushed are moved to where they stopped.
+     */
+    set progress(theProgress) {
+        if (theProgress === null || typeof theProgress !== "object") {
+            throw new Error("World progress must be an object.");
+        }
+        let seen = null;
+        try {
+            if (typeof theProgress.seen === "string") {
+                seen = decodeBytes(theProgress.seen);
+            }
+        } catch (theError) {
+            // Not base64, so it can't be what progress returned.
+            seen = null;
+        }
+        if (!Array.isArray(theProgress.taken) ||
+                theProgress.taken.some((thePos) => {
+                    return !Array.isArray(thePos) || thePos.length !== 2 ||
+                           !thePos.every(Number.isFinite);
+                })) {
+            throw new Error("The taken items must be [x, y] pairs.");
+        } else if (seen === null || seen.length !== this._seen.length) {
+            throw new Error("The seen tiles don't fit the world.");
+        } else if (!Array.isArray(theProgress.pushed) ||
+                theProgress.pushed.some((theMove) => {
+                    return !Array.isArray(theMove) || theMove.length !== 4 ||
+                           !theMove.every(Number.isInteger);
+                })) {
+            throw new Error("The pushed walls must be [x, y, x, y] moves.");
+        }
+        const tilemap = this._tilemap.map((theRow) => [...theRow]);
+        for (const [x0, y0, x1, y1] of theProgress.pushed) {
+            // Each wall must have slid straight into an empty tile.
+            if (!this.inBounds(x0, y0) || !this.inBounds(x1, y1) ||
+                    (x0 !== x1) === (y0 !== y1) ||
+                    Math.abs(x1 - x0 + y1 - y0) > PUSH_DISTANCE ||
+                    tilemap[y0][x0] === 0 ||
+                    MATERIALS[tilemap[y0][x0]].kind !== "push" ||
+                    tilemap[y1][x1] !== 0 || this.isExit(x1, y1)) {
+                throw new Error(`The wall pushed from (${x0}, ${y0}) to ` +
+                                `(${x1}, ${y1}) can't have slid there.`);
+            }
+            tilemap[y1][x1] = tilemap[y0][x0];
+            tilemap[y0][x0] = 0;
+        }
+        this._tilemap = tilemap;
+        this._moves = theProgress.pushed.map((theMove) => [...theMove]);
+        for (const [, , x1, y1] of this._moves) {
+            this._pushed.add(this.tileIndex(x1, y1));
+        }
+        this._seen = seen;
+        this._taken = theProgress.taken.map((thePos) => [thePos[0], thePos[1]]);
+        this._sprites = this._sprites.filter((theSprite) => {
+            return theSprite.kind !== "item" ||
+                   !this._taken.some(([theX, theY]) => {
+                       return theX === theSprite.x && theY === theSprite.y;
+                   });
+        });
+    }
+
+    /**
+     * A helper function that works out where a sliding secret wall will stop.
+     * @param {Object} thePush - The sliding wall (see _pushes).
+     * @returns {number[]} The wall's move, as [x, y, x, y] from the tile it
+     * started from to the one it will stop in.
+     */
+    pushEnd(thePush) {
+        // The tile it's sliding into is already taken for it.
+        let x = thePush.x + thePush.dx;
+        let y = thePush.y + thePush.dy;
+        let left = thePush.left;
+        while (left > 0 && this.canPushInto(x + thePush.dx, y + thePush.dy)) {
+            x += thePush.dx;
+            y += thePush.dy;
+            left--;
+        }
+        return [...thePush.from, x, y];
+    }
+
+    /**
+     * @param {number} theX - A tile's x-coordinate.
+     * @param {number} theY - A tile's y-coordinate.
+     * @returns {boolean} Whether a secret wall can slide into the tile.
+     */
+    canPushInto(theX, theY) {
+        return theY >= 0 && theY < this._tilemap.length && theX >= 0 &&
+               theX < this._tilemap[theY].length && 
+               this._tilemap[theY][theX] === 0 && !this.isExit(theX, theY);
+    }
+
+    /**
+     * @param {number} theX - A tile's x-coordinate.
+     * @param {number} theY - A tile's y-coordinate.
+     * @returns {number} A number identifying the tile.
+     */
+    tileIndex(theX, theY) {
+        return Math.floor(theY) * this._tilemap[0].length + Math.floor(theX);
+    }
+
+    /**
+     * Checks whether a coordinate counts as having finished the maze.
+     * @param {number} theX - The x-coordinate to test.
+     * @param {number} theY - The y-coordinate to test.
+     * @returns {boolean} Whether the coordinate is on a goal tile or outside
+     * the bounds of the tilemap.
+     */
+    isExit(theX, theY) {
+        if (typeof theX !== "number" || typeof theY !== "number") {
+            throw new Error("world.isExit passed non-numeric argument.");
+        }
+        const x = Math.floor(theX);
+        const y = Math.floor(theY);
+        let rv = y < 0 || y >= this._tilemap.length || x < 0 ||
+                 x >= this._tilemap[y].length;
+        for (let i = 0; i < this._exits.length && !rv; i++) {
+            rv = this._exits[i][0] === x && this._exits[i][1] === y;
+        }
+        return rv;
+    }
+
+    /** @returns {number[][]} A copy of the goal tiles as [x, y] pairs. */
+    get exits() {
+        return this._exits.map((theExit) => [theExit[0], theExit[1]]);
+    }
+
+    /**
+     * Gets the flat on the floor at a coordinate.
+     * @param {number} theX - The x-coordinate.
+     * @param {number} theY - The y-coordinate.
+     * @returns {number} The index of the flat (see materials.js), or 0 for
+     * plain ground.
+     */
+    floorAt(theX, theY) {
+        return this.layerAt(this._floors, this._settings.floor, theX, theY);
+    }
+
+    /**
+     * Gets the flat on the ceiling at a coordinate.
+     * @param {number} theX - The x-coordinate.
+     * @param {number} theY - The y-coordinate.
+     * @returns {number} The index of the flat (see materials.js), or 0 for
+     * open sky.
+     */
+    ceilingAt(theX, theY) {
+        let rv = 0;
+        if (!this._settings.sky) {
+            rv = this.layerAt(this._ceilings, this._settings.ceiling, theX, 
+                              theY);
+        }
+        return rv;
+    }
+
+    /**
+     * Gets the height of the wall on a tile, which stands on the tile's floor
+     * (see elevationAt).
+     * @param {number} theX - The x-coordinate.
+     * @param {number} theY - The y-coordinate.
+     * @returns {number} The height in tiles.
+     */
+    heightAt(theX, theY) {
+        return this.layerAt(this._heights, WALL_HEIGHT, theX, theY);
+    }
+
+    /**
+     * Gets how high the floor at a coordinate is raised above the ground.
+     * @param {number} theX - The x-coordinate.
+     * @param {number} theY - The y-coordinate.
+     * @returns {number} The elevation in tiles, which is 0 off the map.
+     */
+    elevationAt(theX, theY) {
+        return this.layerAt(this._elevations, undefined, theX, theY);
+    }
+
+    /**
+     * Gets the highest point on a tile: the top of its wall, or its floor if
+     * it's empty.
+     * @param {number} theX - The x-coordinate.
+     * @param {number} theY - The y-coordinate.
+     * @returns {number} The height above the ground in tiles.
+     */
+    topAt(theX, theY) {
+        let rv = this.elevationAt(theX, theY);
+        if (this.getTile(theX, theY) !== 0) {
+            rv += this.heightAt(theX, theY);
+        }
+        return rv;
+    }
+
+    /**
+     * @returns {number} The highest point of any wall or floor in the world,
+     * in tiles above the ground, and no less than WALL_HEIGHT.
+     */
+    get tallest() {
+        return this._tallest;
+    }
+
+    /**
+     * A helper function that looks a coordinate up in one of the level's
+     * per-tile layers, falling back on a default where the layer has 0.
+     * @param {Array} theLayer - The layer, or null.
+     * @param {number} theDefault - The default value, or undefined.
+     * @param {number} theX - The x-coordinate.
+     * @param {number} theY - The y-coordinate.
+     * @returns {number} The value, or 0 for none.
+     */
+    layerAt(theLayer, theDefault, theX, theY) {
+        let rv = 0;
+        const x = Math.floor(theX);
+        const y = Math.floor(theY);
+        if (theLayer !== null && y >= 0 && y < theLayer.length && x >= 0 &&
+                x < theLayer[y].length) {
+            rv = theLayer[y][x];
+        }
+        if (rv === 0 && theDefault !== undefined) {
+            rv = theDefault;
+        }
+        return rv;
+    }
+
+    /**
+     * @returns {Object[]} The thin and diagonal walls, as {x0, y0, x1, y1,
+     * tile, height}: their ends, their tile values and their heights.
+     */
+    get segments() {
+        return this._segments;
+    }
+
+    /**
+     * Checks whether a line crosses any of the segments that block movement,
+     * so that paths can tell which steps between tiles a thin wall blocks.
+     * @param {number} theX0 - The x-coordinate of the start of the line.
+     * @param {number} theY0 - The y-coordinate of the start of the line.
+     * @param {number} theX1 - The x-coordinate of the end of the line.
+     * @param {number} theY1 - The y-coordinate of the end of the line.
+     * @returns {boolean} Whether the line crosses a segment.
+     */
+    crossesSegment(theX0, theY0, theX1, theY1) {
+        return this._segments.some((theSegment) => {
+            return tileBlocks(theSegment.tile, "movement") &&
+                   intersect(theX0, theY0, theX1, theY1, theSegment.x0,
+                             theSegment.y0, theSegment.x1,
+                             theSegment.y1) !== null;
+        });
+    }
+
+    /** @returns {Sprite[]} The sprites in the world. */
+    get sprites() {
+        return this._sprites;
+    }
+
+    /** @returns {string} The level's name. */
+    get name() {
+        return this._name;
+    }
+
+    /**
+     * @returns {Object} Where the camera starts as {x, y, angle} with the angle
+     * in radians, or null if the world wasn't loaded from a level.
+     */
+    get start() {
+        return this._start === null ? null : {...this._start};
+    }
+
+    /** @returns {Object} A copy of the level's settings. */
+    get settings() {
+        return {...this._settings};
+    }
+
+    /** @returns {number} The number of columns in the tilemap. */
+    get width() {
+        return this._tilemap[0].length;
+    }
+
+    /** @returns {number} The number of rows in the tilemap. */
+    get height() {
+        return this._tilemap.length;
+    }
+
+    /**
+     * Pushes a circle out of the walls it overlaps, one wall at a time from
+     * the one it's deepest into. Pushing it straight out of each wall keeps
+     * whatever part of its movement runs along the wall, so it slides.
+     * @param {number} theX - The x-coordinate of the circle's center.
+     * @param {number} theY - The y-coordinate of the circle's center.
+     * @param {number} theRad - The circle's radius.
+     * @returns {number[]} The circle's new center as [x, y].
+     */
+    resolveCircle(theX, theY, theRad) {
+        let x = theX;
+        let y = theY;
+        let deepest = this.deepestWall(x, y, theRad);
+        for (let i = 0; i < RESOLVE_PASSES && deepest !== null; i++) {
+            const [near_x, near_y] = deepest.near;
+            const dist = Math.hypot(x - near_x, y - near_y);
+            if (dist > 0) {
+                x = near_x + (x - near_x) / dist * theRad;
+                y = near_y + (y - near_y) / dist * theRad;
+            } else if (deepest.segment !== null) {
+                // The center is on the segment, so step off to one side.
+                const segment = deepest.segment;
+                const length = Math.hypot(segment.x1 - segment.x0,
+                                          segment.y1 - segment.y0);
+                x -= (segment.y1 - segment.y0) / length * theRad;
+                y += (segment.x1 - segment.x0) / length * theRad;
+            } else {
+                // The center is inside the tile, so leave by the nearest edge.
+                const [tx, ty] = deepest.tile;
+                const gaps = [x - tx, tx + 1 - x, y - ty, ty + 1 - y];
+                const least = gaps.indexOf(Math.min(...gaps));
+                if (least === 0) {
+                    x = tx - theRad;
+                } else if (least === 1) {
+                    x = tx + 1 + theRad;
+                } else if (least === 2) {
+                    y = ty - theRad;
+                } else {
+                    y = ty + 1 + theRad;
+                }
+            }
+            deepest = this.deepestWall(x, y, theRad);
+        }
+        return [x, y];
+    }
+
+    /**
+     * A helper function that finds the blocking tile or segment a circle
+     * overlaps the most, counting floors too high to step onto from the
+     * circle's center (see canStep) as blocking.
+     * @param {number} theX - The x-coordinate of the circle's center.
+     * @param {number} theY - The y-coordinate of the circle's center.
+     * @param {number} theRad - The circle's radius.
+     * @returns {Object} The wall as {near, tile, segment}: its point nearest
+     * the center as [x, y], and either the tile's coordinates as [x, y] or
+     * the segment, with the other null. Null if the circle doesn't overlap
+     * any.
+     */
+    deepestWall(theX, theY, theRad) {
+        let rv = null;
+        let least = theRad;
+        for (let ty = Math.floor(theY - theRad); 
+                ty <= Math.floor(theY + theRad); ty++) {
+            for (let tx = Math.floor(theX - theRad); 
+                    tx <= Math.floor(theX + theRad); tx++) {
+                if (this.blocksMovement(tx, ty) ||
+                        !this.canStep(theX, theY, tx, ty)) {
+                    const [near_x, near_y] = nearestPoint(theX, theY, tx, ty);
+                    const dist = Math.hypot(theX - near_x, theY - near_y);
+                    if (dist < least) {
+                        rv = {near: [near_x, near_y], tile: [tx, ty],
+                              segment: null};
+                        least = dist;
                     }
                 }
-                j++;
             }
-            i++;
+        }
+        for (const segment of this._segments) {
+            if (!tileBlocks(segment.tile, "movement")) {
+                continue;
+            }
+            const [near_x, near_y] = nearestOnSegment(theX, theY, segment);
+            const dist = Math.hypot(theX - near_x, theY - near_y);
+            if (dist < least) {
+                rv = {near: [near_x, near_y], tile: null, segment: segment};
+                least = dist;
+            }
         }
         return rv;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Determines whether a circle overlaps a tile.
+ * @param {number} theX - The x-coordinate of the circle's center.
+ * @param {number} theY - The y-coordinate of the circle's center.
+ * @param {number} theRad - The circle's radius.
+ * @param {number} theTx - The tile's x-coordinate.
+ * @param {number} theTy - The tile's y-coordinate.
+ * @returns {boolean} Whether the circle overlaps the tile.
+ */
+function touchesTile(theX, theY, theRad, theTx, theTy) {
+    const [near_x, near_y] = nearestPoint(theX, theY, theTx, theTy);
+    return Math.hypot(theX - near_x, theY - near_y) < theRad;
+}
+
+/**
+ * Finds the point of a tile nearest to another point.
+ * @param {number} theX - The other point's x-coordinate.
+ * @param {number} theY - The other point's y-coordinate.
+ * @param {number} theTx - The tile's x-coordinate.
+ * @param {number} theTy - The tile's y-coordinate.
+ * @returns {number[]} The nearest point as [x, y]; the point itself if it's
+ * inside the tile.
+ */
+function nearestPoint(theX, theY, theTx, theTy) {
+    return [Math.max(theTx, Math.min(theX, theTx + 1)),
+            Math.max(theTy, Math.min(theY, theTy + 1))];
+}
+
+/**
+ * @param {number} theFace - A face of a wall, from 0 to 3 (see
+ * Ray.seekCollision).
+ * @returns {number} The bit set in a tile's seen flags once that face of it
+ * has been seen.
+ */
+function faceBit(theFace) {
+    return SEEN_TILE << (theFace + 1);
+}
+
+/**
+ * @param {Uint8Array} theBytes - Some bytes.
+ * @returns {string} The bytes in base64.
+ */
+function encodeBytes(theBytes) {
+    let binary = "";
+    for (const byte of theBytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+}
+
+/**
+ * @param {string} theBase64 - Some bytes in base64 (see encodeBytes).
+ * @returns {Uint8Array} The bytes.
+ */
+function decodeBytes(theBase64) {
+    const binary = atob(theBase64);
+    const rv = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        rv[i] = binary.charCodeAt(i);
+    }
+    return rv;
+}